@@ -0,0 +1,117 @@
+/**
+ * Chapters
+ * Reads the chapter markers of a video (albums uploaded as one video, DJ sets, podcasts) and finds
+ * the chapter a command refers to
+ */
+
+// "1:02:03 Title", "[12:34] - Title", "Title (12:34)"
+const TIMESTAMP_PATTERN = /(?:^|[\s([])((?:\d{1,2}:)?\d{1,2}:\d{2})(?=$|[\s)\]])/;
+
+/**
+ * Convert a timestamp to seconds
+ * @param {string} timestamp Timestamp like `3:45` or `1:02:03`
+ * @returns {number}
+ */
+function toSeconds(timestamp) {
+  return timestamp.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Lowercase a title and strip its accents
+ * @param {string} text Title
+ * @returns {string}
+ */
+function normalizeTitle(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Add the end of each chapter
+ * @param {Array<{title: string, start: number}>} chapters Chapters in order
+ * @param {number} [duration] Duration of the video in seconds
+ * @returns {Array<{title: string, start: number, end: number|null}>}
+ */
+function withEnds(chapters, duration) {
+  return chapters.map((chapter, index) => ({
+    ...chapter,
+    end: index + 1 < chapters.length ? chapters[index + 1].start : duration > 0 ? duration : null,
+  }));
+}
+
+/**
+ * Parse the chapter list of a video description
+ * Follows YouTube's rules: the first timestamp is 0:00, there are at least 3 chapters and they are in order
+ * @param {string} description Video description
+ * @param {number} [duration] Duration of the video in seconds
+ * @returns {Array<{title: string, start: number, end: number|null}>} Chapters, empty if there are none
+ */
+function parseChapters(description, duration) {
+  const chapters = [];
+  for (const line of String(description || '').split('\n')) {
+    const match = TIMESTAMP_PATTERN.exec(line);
+    if (!match) continue;
+
+    const start = toSeconds(match[1]);
+    const title = (line.slice(0, match.index) + ' ' + line.slice(match.index + match[0].length))
+      .replace(/[[\]()]/g, ' ')
+      .replace(/^[\s\-–—:|.]+|[\s\-–—:|.]+$/g, '')
+      .replace(/\s+/g, ' ');
+    chapters.push({ title: title || `Chapter ${chapters.length + 1}`, start });
+  }
+
+  if (chapters.length < 3 || chapters[0].start !== 0) return [];
+  if (chapters.some((chapter, index) => index > 0 && chapter.start <= chapters[index - 1].start)) {
+    return [];
+  }
+  return withEnds(chapters, duration);
+}
+
+/**
+ * Get the chapters of a video
+ * Uses the chapter markers of the player response, or the timestamps of the description
+ * @param {Object} info ytdl-core video info
+ * @returns {Array<{title: string, start: number, end: number|null}>} Chapters, empty if there are none
+ */
+function getChapters(info) {
+  const details = info.videoDetails || {};
+  const duration = parseInt(details.lengthSeconds) || 0;
+
+  if (Array.isArray(details.chapters) && details.chapters.length > 0) {
+    return withEnds(
+      details.chapters.map((chapter) => ({ title: chapter.title, start: chapter.start_time })),
+      duration
+    );
+  }
+  return parseChapters(details.description, duration);
+}
+
+/**
+ * Find the chapter a query refers to
+ * @param {Array<{title: string, start: number}>} chapters Chapters of a song
+ * @param {number|string} query Chapter number (1-based, `3` or `"chapter 3"`) or (part of) a title
+ * @returns {Object|null} Chapter, null if none matches
+ */
+function findChapter(chapters, query) {
+  if (!Array.isArray(chapters) || chapters.length === 0) return null;
+
+  const text = normalizeTitle(query);
+  const number = /^(?:chapter|ch\.?|#)?\s*(\d+)$/.exec(text);
+  if (number) {
+    const chapter = chapters[Number(number[1]) - 1];
+    if (chapter) return chapter;
+  }
+  if (!text) return null;
+
+  return (
+    chapters.find((chapter) => normalizeTitle(chapter.title) === text) ||
+    chapters.find((chapter) => normalizeTitle(chapter.title).includes(text)) ||
+    null
+  );
+}
+
+export { getChapters, parseChapters, findChapter };
@@ -0,0 +1,61 @@
+/**
+ * Content filters
+ * Decides whether a Song may be queued according to the plugin's `filters` option
+ */
+
+/**
+ * Reasons a song is rejected for
+ * @enum {string}
+ */
+const FilterReasons = {
+  BLOCKED_VIDEO: 'blockedVideo',
+  BLOCKED_ARTIST: 'blockedArtist',
+  EXPLICIT: 'explicit',
+  LIVE: 'live',
+  TOO_SHORT: 'tooShort',
+  TOO_LONG: 'tooLong',
+};
+
+const FILTER_KEYS = ['blockExplicit', 'blockLive', 'minDuration', 'maxDuration', 'blockedArtists', 'blockedVideos'];
+
+/**
+ * Get the reason a song is rejected by the filters
+ * Songs whose explicit flag or duration is unknown are not rejected for it
+ * @param {Song} song Song to check
+ * @param {Object} [filters] Content filters
+ * @param {boolean} [filters.blockExplicit] Reject songs marked as explicit
+ * @param {boolean} [filters.blockLive] Reject live streams
+ * @param {number} [filters.minDuration] Reject songs shorter than this many seconds
+ * @param {number} [filters.maxDuration] Reject songs longer than this many seconds
+ * @param {string[]} [filters.blockedArtists] Artist channel IDs (`UC...`) to reject
+ * @param {string[]} [filters.blockedVideos] Video IDs to reject
+ * @returns {string|null} Reason from {@link FilterReasons}, or null if the song is allowed
+ */
+function getFilterReason(song, filters = {}) {
+  if (filters.blockedVideos && filters.blockedVideos.includes(song.id)) {
+    return FilterReasons.BLOCKED_VIDEO;
+  }
+
+  const artists = (song.musicMetadata && song.musicMetadata.artists) || [];
+  if (filters.blockedArtists && artists.some((artist) => filters.blockedArtists.includes(artist.id))) {
+    return FilterReasons.BLOCKED_ARTIST;
+  }
+
+  if (filters.blockExplicit && song.musicMetadata && song.musicMetadata.explicit === true) {
+    return FilterReasons.EXPLICIT;
+  }
+
+  if (filters.blockLive && song.isLive) {
+    return FilterReasons.LIVE;
+  }
+
+  // Live streams and some list items have no known duration
+  if (song.duration > 0) {
+    if (filters.minDuration && song.duration < filters.minDuration) return FilterReasons.TOO_SHORT;
+    if (filters.maxDuration && song.duration > filters.maxDuration) return FilterReasons.TOO_LONG;
+  }
+
+  return null;
+}
+
+export { getFilterReason, FilterReasons, FILTER_KEYS };
@@ -0,0 +1,172 @@
+/**
+ * Audio format selection
+ * Picks the ytdl-core format to stream according to the plugin's `audioFormat` option
+ */
+
+/**
+ * Audio codecs that can be asked for, with the `audioCodec` prefix ytdl-core reports for them
+ * @private
+ */
+const CODECS = {
+  opus: 'opus',
+  aac: 'mp4a',
+};
+
+// Container names accepted as codec names
+const CODEC_ALIASES = {
+  webm: 'opus',
+  m4a: 'aac',
+  mp4: 'aac',
+};
+
+const AUDIO_FORMAT_KEYS = ['codec', 'maxBitrate', 'fallback'];
+
+/**
+ * Get the codec name of a codec or container name
+ * @param {string} name Codec or container name (`opus`, `webm`, `aac`, `m4a`...)
+ * @returns {string|null} `opus` or `aac`, null if the name is not supported
+ */
+function resolveCodec(name) {
+  const codec = CODEC_ALIASES[String(name).toLowerCase()] || String(name).toLowerCase();
+  return CODECS[codec] ? codec : null;
+}
+
+/**
+ * Get the codec of a format
+ * @param {Object} format ytdl-core format
+ * @returns {string|null} `opus`, `aac` or null for any other codec
+ */
+function getCodec(format) {
+  const audioCodec = String(format.audioCodec || format.codecs || '').toLowerCase();
+  return Object.keys(CODECS).find((codec) => audioCodec.startsWith(CODECS[codec])) || null;
+}
+
+/**
+ * Get the audio bitrate of a format
+ * @param {Object} format ytdl-core format
+ * @returns {number} Bitrate in kbps, 0 if unknown
+ */
+function getBitrate(format) {
+  if (format.audioBitrate) return format.audioBitrate;
+  return format.bitrate ? Math.round(format.bitrate / 1000) : 0;
+}
+
+/**
+ * Get the best format within the bitrate limit
+ * @param {Object[]} formats Candidate formats
+ * @param {number} maxBitrate Maximum bitrate in kbps, 0 for no limit
+ * @returns {Object|null}
+ */
+function pickBest(formats, maxBitrate) {
+  const allowed =
+    maxBitrate > 0 ? formats.filter((format) => getBitrate(format) <= maxBitrate) : formats;
+  return allowed.reduce(
+    (best, format) => (!best || getBitrate(format) > getBitrate(best) ? format : best),
+    null
+  );
+}
+
+/**
+ * Choose the audio-only format to stream
+ * The preferred codec is tried first, then each codec of the fallback list, then any codec.
+ * Formats above `maxBitrate` are only used when every audio format is, the lowest one then
+ * @param {Object[]} formats ytdl-core formats of a video
+ * @param {Object} [options] Audio format options
+ * @param {string} [options.codec] Preferred codec: `opus` (webm) or `aac` (m4a), any codec if not set
+ * @param {number} [options.maxBitrate] Maximum audio bitrate in kbps, 0 for no limit
+ * @param {string[]} [options.fallback] Codecs to try in order when the preferred one is not available
+ * @returns {Object|null} Chosen format, null if the video has no audio-only format
+ */
+function chooseAudioFormat(formats, options = {}) {
+  const audioFormats = formats.filter(
+    (format) =>
+      format.url &&
+      format.hasAudio !== false &&
+      !format.hasVideo &&
+      !format.isHLS &&
+      !format.isDashMPD
+  );
+  if (audioFormats.length === 0) return null;
+
+  const maxBitrate = options.maxBitrate || 0;
+  const codecs = [options.codec, ...(options.fallback || [])].filter(Boolean).map(resolveCodec);
+  for (const codec of codecs) {
+    const format = pickBest(
+      audioFormats.filter((candidate) => getCodec(candidate) === codec),
+      maxBitrate
+    );
+    if (format) return format;
+  }
+
+  return (
+    pickBest(audioFormats, maxBitrate) ||
+    audioFormats.reduce((lowest, format) =>
+      getBitrate(format) < getBitrate(lowest) ? format : lowest
+    )
+  );
+}
+
+/**
+ * Choose the HLS format to stream a live stream with
+ * Live streams have no adaptive audio-only formats, so the audio-only HLS format is used if there is
+ * one, otherwise the smallest video format with audio
+ * @param {Object[]} formats ytdl-core formats of a live video
+ * @returns {Object|null} Chosen format, null if the video has no HLS format with audio
+ */
+function chooseLiveFormat(formats) {
+  const hlsFormats = formats.filter(
+    (format) => format.url && format.isHLS && format.hasAudio !== false
+  );
+  const audioOnly = hlsFormats.filter((format) => !format.hasVideo);
+  const candidates = audioOnly.length > 0 ? audioOnly : hlsFormats;
+
+  return candidates.reduce((smallest, format) => {
+    if (!smallest) return format;
+    const size =
+      (format.height || 0) - (smallest.height || 0) ||
+      (format.bitrate || 0) - (smallest.bitrate || 0);
+    return size < 0 ? format : smallest;
+  }, null);
+}
+
+/**
+ * Describe a format for diagnostics
+ * @param {Object} format ytdl-core format
+ * @returns {Object} Itag, codec, container, bitrate (kbps), sample rate and loudness (dB) of the format
+ */
+function describeFormat(format) {
+  return {
+    itag: format.itag,
+    codec: getCodec(format) || format.audioCodec || null,
+    container: format.container || null,
+    bitrate: getBitrate(format),
+    sampleRate: format.audioSampleRate ? Number(format.audioSampleRate) : null,
+    loudnessDb: typeof format.loudnessDb === 'number' ? format.loudnessDb : null,
+  };
+}
+
+/**
+ * Get when a signed googlevideo URL stops working
+ * @param {string} url Format URL
+ * @returns {number|null} Expiry timestamp in milliseconds, null if the URL has no `expire` parameter
+ */
+function getExpiry(url) {
+  try {
+    const parsed = new URL(url);
+    // Some URLs carry their parameters as path segments: /videoplayback/expire/1700000000/...
+    const expire =
+      parsed.searchParams.get('expire') || (parsed.pathname.match(/\/expire\/(\d+)/) || [])[1];
+    return expire && Number(expire) > 0 ? Number(expire) * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+export {
+  chooseAudioFormat,
+  chooseLiveFormat,
+  describeFormat,
+  resolveCodec,
+  getExpiry,
+  AUDIO_FORMAT_KEYS,
+};
@@ -2,6 +2,107 @@ import { DisTubeError, checkInvalidKey, ExtractorPlugin, Song, Playlist } from '
 import YTMusic from 'ytmusic-api';
 import ytdl from '@distube/ytdl-core';
 import CookieManager from './cookieManager.mjs';
+import { parseURL, stripTrackingParams, toPlaylistBrowseId } from './urlParser.mjs';
+import { fetchBrowsePage, fetchRadioPage, fetchSearchPage } from './innertube.mjs';
+import { normalizeTrack, applyExplicitFlags, toEntityResult, getLiveStatus, LiveStatus } from './trackMapper.mjs';
+import TTLCache from './ttlCache.mjs';
+import StreamRelay from './streamRelay.mjs';
+import { createResumableStream } from './resumableStream.mjs';
+import { rankSongs, isSameRecording } from './ranking.mjs';
+import { getFilterReason, FILTER_KEYS } from './filters.mjs';
+import {
+  chooseAudioFormat,
+  chooseLiveFormat,
+  describeFormat,
+  resolveCodec,
+  getExpiry,
+  AUDIO_FORMAT_KEYS,
+} from './formats.mjs';
+import { withRetry, getUnsupportedClients, PLAYER_CLIENTS, RETRY_KEYS } from './retry.mjs';
+import { normalizeLoudness, getInfoLoudness, LOUDNESS_KEYS } from './loudness.mjs';
+import { getChapters, findChapter } from './chapters.mjs';
+
+/**
+ * Events emitted by the plugin through the DisTube instance
+ * @enum {string}
+ */
+const PluginEvents = {
+  /** A batch of a lazily loaded playlist was added to the queue: (queue, playlist, songs) */
+  PLAYLIST_BATCH: "ytmusicPlaylistBatch",
+  /** A lazily loaded playlist finished loading: (queue, playlist) */
+  PLAYLIST_LOADED: "ytmusicPlaylistLoaded",
+  /** A song was rejected by the content filters: (song, reason) */
+  SONG_FILTERED: "ytmusicSongFiltered",
+  /** An unavailable song is played from another upload of the same recording: (song, substitute, reason) */
+  SONG_SUBSTITUTED: "ytmusicSongSubstituted",
+};
+
+// ytdl-core errors of videos that are blocked in the region, removed or private
+const UNAVAILABLE_PATTERN = /unavailable|not available|removed|private video|blocked it/i;
+
+// Error of scheduled live streams and premieres, which have nothing to play yet
+const UPCOMING_MESSAGE = "This live stream or premiere has not started yet";
+// ytdl-core rejects them (LIVE_STREAM_OFFLINE) before returning any video info, with YouTube's reason
+// ("Premieres in 8 hours", "This live event will begin in 3 days.") or its own default as the message
+const OFFLINE_PATTERN = /live stream is offline|^premieres?\b|live event will begin|^live in\b|scheduled for|waiting for/i;
+
+// Number of other uploads tried before giving up on an unavailable song
+const MAX_SUBSTITUTE_ATTEMPTS = 3;
+
+// Cached stream URLs are dropped this long before they expire, so FFmpeg never gets a dead URL
+const STREAM_EXPIRY_MARGIN = 5 * 60 * 1000;
+// Cached stream URLs are refreshed in the background once they expire sooner than this
+const STREAM_REFRESH_WINDOW = 30 * 60 * 1000;
+// Lifetime of stream URLs without an `expire` parameter
+const DEFAULT_STREAM_TTL = 30 * 60 * 1000;
+// Number of clients of other locales kept at once, the oldest one is dropped first
+const MAX_LOCALE_CLIENTS = 20;
+// Number of agents of guilds with their own cookies kept at once, the oldest one is dropped first
+const MAX_GUILD_AGENTS = 100;
+// Resumes in a row without receiving data before a dropped download is given up
+const MAX_STREAM_RESUMES = 3;
+// Number of radios kept for refills at once, the least recently played one is dropped first
+const MAX_RADIOS = 50;
+// Radios not played from for this long are dropped, their songs then get the regular up next queue
+const RADIO_TTL = 6 * 60 * 60 * 1000;
+
+/**
+ * ytmusic-api search method for each search type
+ * @private
+ */
+const SEARCH_METHODS = {
+  all: "search",
+  song: "searchSongs",
+  video: "searchVideos",
+  album: "searchAlbums",
+  playlist: "searchPlaylists",
+  artist: "searchArtists",
+};
+
+/**
+ * Values of the `watchListPolicy` option
+ * @private
+ */
+const WATCH_LIST_POLICIES = ["song", "startAtSong", "playlist"];
+
+/**
+ * Options that can be overridden per guild through the `guildOptions` option
+ * @private
+ */
+const GUILD_OPTION_KEYS = [
+  "language",
+  "region",
+  "unavailableFallback",
+  "loudnessNormalization",
+  "maxViews",
+  "maxPlaylistSongs",
+  "lazyLoad",
+  "radioRefill",
+  "watchListPolicy",
+  "filters",
+  "cookies",
+  "audioFormat",
+];
 
 /**
  * YouTube Music plugin for DisTube
@@ -16,6 +117,23 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
       fetchBeforeQueued: false,
       parallel: true,
       maxViews: 10,
+      maxPlaylistSongs: Infinity,
+      lazyLoad: false,
+      radioRefill: true,
+      watchListPolicy: "startAtSong",
+      suggestionCacheTTL: 60000,
+      suggestionDebounce: 200,
+      infoCacheTTL: 300000,
+      filters: {},
+      guildOptions: null,
+      language: null,
+      region: null,
+      unavailableFallback: true,
+      audioFormat: {},
+      streamCache: true,
+      retry: {},
+      directStream: false,
+      loudnessNormalization: false,
       cookies: null,
       cookiesPath: null,
       agentOptions: {},
@@ -30,6 +148,23 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
         "fetchBeforeQueued",
         "parallel",
         "maxViews",
+        "maxPlaylistSongs",
+        "lazyLoad",
+        "radioRefill",
+        "watchListPolicy",
+        "suggestionCacheTTL",
+        "suggestionDebounce",
+        "infoCacheTTL",
+        "filters",
+        "guildOptions",
+        "language",
+        "region",
+        "unavailableFallback",
+        "audioFormat",
+        "streamCache",
+        "retry",
+        "directStream",
+        "loudnessNormalization",
         "cookies",
         "cookiesPath",
         "agentOptions",
@@ -37,8 +172,31 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
       ],
       "YouTubeMusicPlugin",
     );
+    checkInvalidKey(this.options.filters, FILTER_KEYS, "YouTubeMusicPlugin.filters");
+    checkInvalidKey(this.options.retry, RETRY_KEYS, "YouTubeMusicPlugin.retry");
+    if (typeof this.options.loudnessNormalization === "object" && this.options.loudnessNormalization) {
+      checkInvalidKey(this.options.loudnessNormalization, LOUDNESS_KEYS, "YouTubeMusicPlugin.loudnessNormalization");
+    }
+    this.checkAudioFormat(this.options.audioFormat, "YouTubeMusicPlugin.audioFormat");
+    this.checkWatchListPolicy(this.options.watchListPolicy);
+    const [unsupportedClient] = getUnsupportedClients(this.options.retry.playerClients);
+    if (unsupportedClient) {
+      throw new DisTubeError(
+        "YTMUSIC_PLUGIN_ERROR",
+        `Unsupported player client: ${unsupportedClient}, expected one of ${PLAYER_CLIENTS.join(", ")}`,
+      );
+    }
     this.ytmusic = new YTMusic();
+    this.localeClients = new TTLCache({ ttl: Infinity, maxSize: MAX_LOCALE_CLIENTS });
+    // Refill state of resolved radios, songs only keep the radio ID
+    this.radios = new TTLCache({ ttl: RADIO_TTL, maxSize: MAX_RADIOS });
+    this.suggestionCache = new TTLCache({ ttl: this.options.suggestionCacheTTL });
+    this.suggestionTypists = new Map();
+    this.streamCache = new TTLCache({ ttl: DEFAULT_STREAM_TTL, maxSize: 200 });
+    this.infoCache = new TTLCache({ ttl: this.options.infoCacheTTL, maxSize: 100 });
+    this.relay = null;
     this.agent = null;
+    this.guildAgents = new TTLCache({ ttl: Infinity, maxSize: MAX_GUILD_AGENTS });
     this.cookieManager = null;
 
     // Initialize cookie manager if cookie refresh is enabled
@@ -147,7 +305,7 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
     }
 
     try {
-      await this.ytmusic.initialize({});
+      await this.ytmusic.initialize(this.getLocaleOptions(this.options));
       console.log("YouTube Music API initialized successfully");
       
       // Start cookie auto-refresh if enabled
@@ -174,14 +332,8 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
    * @returns {boolean}
    */
   validate(url) {
-    return (
-      typeof url === "string" &&
-      (url.includes("music.youtube.com") ||
-        url.includes("youtube.com/playlist") ||
-        url.includes("/album/") ||
-        url.includes("/artist/") ||
-        ytdl.validateURL(url))
-    );
+    // ytdl-core knows video URL forms the parser does not, e.g. gaming.youtube.com
+    return parseURL(url) !== null || (typeof url === "string" && ytdl.validateURL(url));
   }
 
   /**
@@ -191,38 +343,14 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
    * @private
    */
   extractId(url) {
-    let type = 'video';
-    let id = null;
-
-    // Extract playlist ID
-    if (url.includes("/playlist") || url.includes("list=")) {
-      type = 'playlist';
-      const match = url.match(/[?&]list=([^&]+)/);
-      id = match ? match[1] : null;
-    } 
-    // Extract album ID
-    else if (url.includes("/album/")) {
-      type = 'album';
-      const match = url.match(/\/album\/([^?/]+)/);
-      id = match ? match[1] : null;
-    } 
-    // Extract artist ID
-    else if (url.includes("/artist/")) {
-      type = 'artist';
-      const match = url.match(/\/artist\/([^?/]+)/);
-      id = match ? match[1] : null;
-    } 
-    // Extract video ID
-    else if (url.includes("/watch") || ytdl.validateURL(url)) {
-      type = 'video';
-      try {
-        id = ytdl.getVideoID(url);
-      } catch (e) {
-        id = null;
-      }
-    }
+    const parsed = parseURL(url);
+    if (parsed) return parsed;
 
-    return { type, id };
+    try {
+      return { type: "video", id: ytdl.getVideoID(url) };
+    } catch (e) {
+      return { type: "video", id: null };
+    }
   }
 
   /**
@@ -236,22 +364,43 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
       throw new DisTubeError("INVALID_TYPE", ["string", "undefined"], url, "url");
     }
 
-    const { type, id } = this.extractId(url);
+    let { type, id, videoId, index, startTime } = this.extractId(url);
+    const cleanUrl = stripTrackingParams(url);
     
     if (!id) {
       throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "Could not extract ID from URL");
     }
 
+    const config = await this.getGuildOptions(options.member, options);
+
+    // A watch URL carrying a playlist, e.g. watch?v=abc&list=PL...
+    const linkedTrack = type === "playlist" && (videoId || index) ? { videoId, index: index ? index - 1 : undefined } : null;
+    if (linkedTrack && videoId && config.watchListPolicy === "song") {
+      type = "video";
+      id = videoId;
+    }
+
     try {
+      const client = await this.getClient(config);
       switch (type) {
-        case 'playlist':
-          const playlistInfo = await this.ytmusic.getPlaylist(id);
-          if (!playlistInfo || !playlistInfo.tracks) {
+        case 'playlist': {
+          const playlistBrowseId = toPlaylistBrowseId(id);
+          // The first page carries the playlist header, it is handed to the pager instead of fetched again
+          const firstPage = await fetchBrowsePage(client, playlistBrowseId);
+          const playlistInfo = firstPage.header || await client.getPlaylist(playlistBrowseId);
+          if (!playlistInfo) {
             throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "Could not fetch playlist information");
           }
           
-          const playlistTracks = playlistInfo.tracks.slice(0, this.options.maxViews);
-          const playlistSongs = await this.processPlaylistTracks(playlistTracks, options);
+          const startTrack = config.watchListPolicy === "startAtSong" ? linkedTrack : null;
+          const pages = this.fetchPlaylistPages(playlistBrowseId, config.maxPlaylistSongs, startTrack, client, firstPage);
+          const playlistSongs = [];
+          // In lazy mode stop at the first page with playable songs, the rest is queued in the background
+          while (!config.lazyLoad || playlistSongs.length === 0) {
+            const page = await pages.next();
+            if (page.done) break;
+            playlistSongs.push(...await this.processPlaylistTracks(page.value, options, {}, config));
+          }
           
           if (!playlistSongs || playlistSongs.length === 0) {
             throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "No playable songs found in playlist");
@@ -260,25 +409,41 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
           const playlist = new Playlist({
             source: "youtube-music",
             id: id,
-            name: playlistInfo.title || "Unknown Playlist",
-            url: url,
+            name: playlistInfo.title || playlistInfo.name || "Unknown Playlist",
+            url: cleanUrl,
             thumbnail: playlistInfo.thumbnails && playlistInfo.thumbnails.length > 0
               ? playlistInfo.thumbnails[playlistInfo.thumbnails.length - 1].url
               : null,
             songs: playlistSongs,
             member: options.member || null
           }, options);
+          playlist.totalSongs = playlistInfo.trackCount || playlistInfo.videoCount || playlistSongs.length;
+          if (startTrack && startTime && playlistSongs[0].id === videoId) {
+            playlistSongs[0].startTime = startTime;
+          }
+
+          if (config.lazyLoad) {
+            this.loadRemainingPages(playlist, pages, options, config);
+          }
           
           return playlist;
+        }
           
-        case 'album':
-          const albumInfo = await this.ytmusic.getAlbum(id);
-          if (!albumInfo || !albumInfo.tracks) {
+        case 'album': {
+          const [albumInfo, albumFlags] = await Promise.all([
+            client.getAlbum(id),
+            this.fetchExplicitFlags(config, () => fetchBrowsePage(client, id)),
+          ]);
+          const albumItems = albumInfo && (albumInfo.tracks || albumInfo.songs);
+          if (!albumItems) {
             throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "Could not fetch album information");
           }
           
-          const albumTracks = albumInfo.tracks.slice(0, this.options.maxViews);
-          const albumSongs = await this.processPlaylistTracks(albumTracks, options);
+          const albumTracks = applyExplicitFlags(albumItems.slice(0, config.maxPlaylistSongs), albumFlags);
+          const albumSongs = await this.processPlaylistTracks(albumTracks, options, {
+            album: { name: albumInfo.title || albumInfo.name, albumId: albumInfo.albumId || id },
+            year: albumInfo.year,
+          }, config);
           
           if (!albumSongs || albumSongs.length === 0) {
             throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "No playable songs found in album");
@@ -287,25 +452,37 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
           const album = new Playlist({
             source: "youtube-music",
             id: id,
-            name: albumInfo.title || "Unknown Album",
-            url: url,
+            name: albumInfo.title || albumInfo.name || "Unknown Album",
+            url: cleanUrl,
             thumbnail: albumInfo.thumbnails && albumInfo.thumbnails.length > 0
               ? albumInfo.thumbnails[albumInfo.thumbnails.length - 1].url
               : null,
             songs: albumSongs,
             member: options.member || null
           }, options);
+          album.totalSongs = albumItems.length;
           
           return album;
+        }
           
-        case 'artist':
-          const artistInfo = await this.ytmusic.getArtist(id);
-          if (!artistInfo || !artistInfo.songs || !Array.isArray(artistInfo.songs)) {
+        case 'artist': {
+          const [artistInfo, artistFlags] = await Promise.all([
+            client.getArtist(id),
+            this.fetchExplicitFlags(config, () => fetchBrowsePage(client, id)),
+          ]);
+          let artistItems = artistInfo && (artistInfo.songs || artistInfo.topSongs);
+          if (!Array.isArray(artistItems)) {
             throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "Could not fetch artist information");
           }
+
+          // The artist page only lists a handful of top songs, fetch the full list when more are wanted
+          if (artistItems.length < config.maxViews) {
+            const allSongs = await client.getArtistSongs(id).catch(() => null);
+            if (allSongs && allSongs.length > artistItems.length) artistItems = allSongs;
+          }
           
-          const artistTracks = artistInfo.songs.slice(0, this.options.maxViews);
-          const artistSongs = await this.processPlaylistTracks(artistTracks, options);
+          const artistTracks = applyExplicitFlags(artistItems.slice(0, config.maxViews), artistFlags);
+          const artistSongs = await this.processPlaylistTracks(artistTracks, options, {}, config);
           
           if (!artistSongs || artistSongs.length === 0) {
             throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "No playable songs found for artist");
@@ -315,47 +492,88 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
             source: "youtube-music",
             id: id,
             name: artistInfo.name || "Unknown Artist",
-            url: url,
+            url: cleanUrl,
             thumbnail: artistInfo.thumbnails && artistInfo.thumbnails.length > 0
               ? artistInfo.thumbnails[artistInfo.thumbnails.length - 1].url
               : null,
             songs: artistSongs,
             member: options.member || null
           }, options);
+          artist.totalSongs = artistItems.length;
           
           return artist;
+        }
           
-        case 'video':
-          // Use ytdl-core to get detailed info for single video
-          const info = await ytdl.getInfo(`https://music.youtube.com/watch?v=${id}`);
-          if (!info || !info.videoDetails) {
-            throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "Failed to get video details");
+        case 'radio': {
+          const radio = { id, videoId, continuation: null, seen: new Set(), buffer: [], client };
+          const radioPage = await fetchRadioPage(client, { playlistId: id, videoId });
+          radio.continuation = radioPage.continuation;
+
+          const pageSongs = await this.processPlaylistTracks(radioPage.tracks, options, {}, config);
+          const radioSongs = pageSongs.slice(0, config.maxPlaylistSongs);
+          
+          if (radioSongs.length === 0) {
+            throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "No playable songs found in radio");
+          }
+
+          for (const radioSong of pageSongs) {
+            radioSong.radioId = id;
+            radio.seen.add(radioSong.id);
           }
+          // Songs of the first page beyond maxPlaylistSongs are the first ones the refill hands out
+          radio.buffer.push(...pageSongs.slice(config.maxPlaylistSongs));
+          this.radios.set(id, radio);
           
-          // Create a standardized Song object and pass options directly
-          // DisTube will handle user information from options
-          const song = new Song({
+          const radioPlaylist = new Playlist({
             source: "youtube-music",
             id: id,
-            name: info.videoDetails.title || "Unknown Title",
-            url: `https://music.youtube.com/watch?v=${id}`,
-            thumbnail: info.videoDetails.thumbnails.length > 0 
-              ? info.videoDetails.thumbnails[info.videoDetails.thumbnails.length - 1].url 
-              : null,
-            duration: parseInt(info.videoDetails.lengthSeconds) || 0,
-            isLive: info.videoDetails.isLiveContent || false,
-            views: parseInt(info.videoDetails.viewCount || 0),
-            uploader: {
-              name: info.videoDetails.author ? info.videoDetails.author.name : "Unknown Artist",
-              url: info.videoDetails.author ? info.videoDetails.author.channel_url : null
-            },
-            playFromSource: true,
-            plugin: this,
-            member: options.member || null,
-            metadata: options.metadata || null
+            name: radioPage.title || "YouTube Music Radio",
+            url: cleanUrl,
+            thumbnail: radioSongs[0].thumbnail,
+            songs: radioSongs,
+            member: options.member || null
           }, options);
           
+          return radioPlaylist;
+        }
+          
+        case 'video': {
+          // Use ytdl-core to get detailed info for single video
+          const [info, videoFlags] = await Promise.all([
+            ytdl.getInfo(`https://music.youtube.com/watch?v=${id}`, this.getRequestOptions(config)).catch(e => {
+              throw this.toUpcomingError(e);
+            }),
+            // The video info has no explicit badge, the song's watch queue does
+            this.fetchExplicitFlags(config, () => fetchRadioPage(client, { playlistId: `RDAMVM${id}`, videoId: id })),
+          ]);
+          if (!info || !info.videoDetails) {
+            throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "Failed to get video details");
+          }
+          
+          const live = getLiveStatus(info);
+          if (live.status === LiveStatus.UPCOMING) {
+            throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", this.getUpcomingMessage(live));
+          }
+
+          const song = this.toSong(info, options);
+          const [videoFlag] = applyExplicitFlags([{ videoId: id }], videoFlags);
+          if (typeof videoFlag.isExplicit === "boolean") song.musicMetadata.explicit = videoFlag.isExplicit;
+          const filterReason = this.checkFilters(song, config);
+          if (filterReason) {
+            throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", `Song rejected by content filters: ${filterReason}`);
+          }
+          // Kept for getStreamURL, which would otherwise fetch the same info again. It only picks a format
+          // from it and looks it up with the guild's options, so a language override of this request is left out
+          if (this.options.infoCacheTTL > 0) {
+            const streamConfig = options.language ? await this.getGuildOptions(options.member) : config;
+            this.infoCache.set(this.getCacheKey(id, streamConfig), info);
+          }
+          if (startTime) song.startTime = startTime;
+          song.loudnessDb = getInfoLoudness(info);
+          song.chapters = getChapters(info);
+          
           return song;
+        }
           
         default:
           throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "Unsupported URL type");
@@ -367,41 +585,403 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
     }
   }
 
+  /**
+   * Fetch a playlist page by page, following continuations until the list ends or the limit is reached
+   * With `parallel` enabled the next page is requested while the current one is being processed
+   * @param {string} browseId Playlist browse ID
+   * @param {number} [limit=Infinity] Maximum number of tracks to fetch
+   * @param {Object} [start] Track to start from, tracks before it are skipped
+   * @param {string} [start.videoId] Video ID of the track
+   * @param {number} [start.index] Zero-based position of the track
+   * @param {YTMusic} [client] ytmusic-api client of the request's locale
+   * @param {Object} [firstPage] First page from fetchBrowsePage if already fetched
+   * @returns {AsyncGenerator<Array>} Raw tracks of each page
+   * @private
+   */
+  async *fetchPlaylistPages(browseId, limit = Infinity, start = null, client = this.ytmusic, firstPage = null) {
+    let fetched = 0;
+    let position = 0;
+    let skipping = Boolean(start);
+    let request = () => fetchBrowsePage(client, browseId);
+    let pending = firstPage ? Promise.resolve(firstPage) : request();
+
+    while (pending) {
+      const page = await pending;
+      if (!firstPage) firstPage = page;
+      let tracks = page.tracks;
+
+      // Fall back to ytmusic-api when the first page could not be parsed
+      if (position === 0 && tracks.length === 0 && !page.continuation) {
+        let videos = await client.getPlaylistVideos(browseId);
+        if (start) videos = videos.slice(Math.max(this.findStartOffset(videos, start, 0), 0));
+        if (videos.length) yield videos.slice(0, limit);
+        return;
+      }
+
+      if (skipping) {
+        const offset = this.findStartOffset(tracks, start, position);
+        tracks = offset === -1 ? [] : tracks.slice(offset);
+        skipping = offset === -1;
+      }
+      position += page.tracks.length;
+
+      tracks = tracks.slice(0, limit - fetched);
+      fetched += tracks.length;
+      request = page.continuation && page.tracks.length > 0 && fetched < limit
+        ? () => fetchBrowsePage(client, browseId, page.continuation)
+        : null;
+      pending = request && this.options.parallel ? request() : null;
+      // Avoid an unhandled rejection if the consumer stops before awaiting the prefetched page
+      if (pending) pending.catch(() => {});
+
+      if (tracks.length) yield tracks;
+      if (request && !pending) pending = request();
+    }
+
+    // The linked track is not in the playlist, play it from the top instead
+    if (skipping) {
+      console.warn(`YouTubeMusicPlugin: Start track not found in playlist ${browseId}, starting from the top`);
+      yield* this.fetchPlaylistPages(browseId, limit, null, client, firstPage);
+    }
+  }
+
+  /**
+   * Find where the start track of a playlist is within a page
+   * The position from `index=` wins unless it points to a different video than the one linked
+   * @param {Array} tracks Raw tracks of the page
+   * @param {Object} start Track to start from
+   * @param {number} position Position of the page's first track in the playlist
+   * @returns {number} Offset within the page, -1 if the track is not on it
+   * @private
+   */
+  findStartOffset(tracks, start, position) {
+    if (typeof start.index === "number") {
+      const offset = start.index - position;
+      const track = tracks[offset];
+      if (track && (!start.videoId || track.videoId === start.videoId)) return offset;
+    }
+    if (start.videoId) {
+      return tracks.findIndex(track => track.videoId === start.videoId);
+    }
+    return -1;
+  }
+
+  /**
+   * Append the remaining pages of a lazily loaded playlist to its queue in the background
+   * Stops as soon as the queue is stopped or destroyed
+   * @param {Playlist} playlist Playlist returned by resolve
+   * @param {AsyncGenerator<Array>} pages Remaining pages from fetchPlaylistPages
+   * @param {Object} options Resolve options
+   * @param {Object} config Options of the guild the playlist is played in
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadRemainingPages(playlist, pages, options, config) {
+    try {
+      const queue = await this.waitForPlaylistQueue(playlist);
+      if (!queue) {
+        console.warn(`YouTubeMusicPlugin: No queue found for playlist ${playlist.id}, stopped loading`);
+        return;
+      }
+
+      for await (const page of pages) {
+        const songs = await this.processPlaylistTracks(page, options, {}, config);
+        if (queue.stopped || this.distube.getQueue(queue.id) !== queue) {
+          console.log(`YouTubeMusicPlugin: Queue destroyed, stopped loading playlist ${playlist.id}`);
+          return;
+        }
+        if (songs.length === 0) continue;
+
+        songs.forEach(song => (song.playlist = playlist));
+        playlist.songs.push(...songs);
+        queue.addToQueue(songs);
+        this.emitEvent(PluginEvents.PLAYLIST_BATCH, queue, playlist, songs);
+      }
+
+      this.emitEvent(PluginEvents.PLAYLIST_LOADED, queue, playlist);
+    } catch (e) {
+      console.error(`YouTubeMusicPlugin: Failed to load remaining pages of playlist ${playlist.id}:`, e);
+    } finally {
+      await pages.return();
+    }
+  }
+
+  /**
+   * Wait for DisTube to put a resolved playlist into a queue
+   * @param {Playlist} playlist Playlist returned by resolve
+   * @param {number} [timeout=30000] Time to wait in milliseconds
+   * @returns {Promise<Queue|null>}
+   * @private
+   */
+  async waitForPlaylistQueue(playlist, timeout = 30000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      for (const queue of this.distube.queues.collection.values()) {
+        if (queue.songs.some(song => song.playlist === playlist)) return queue;
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return null;
+  }
+
+  /**
+   * Get the plugin options of a guild, with the overrides from `guildOptions` applied
+   * Filters are merged with the global filters, every other option replaces the global one
+   * @param {GuildMember} [member] Member the request comes from
+   * @param {Object} [request] Request options, their `language` and `region` win over the guild's
+   * @returns {Promise<Object>} Options to use for the request
+   * @private
+   */
+  async getGuildOptions(member, request = {}) {
+    let config = this.options;
+    const source = this.options.guildOptions;
+    const guildId = member && member.guild ? member.guild.id : null;
+
+    if (source && guildId) {
+      // Either a resolver callback or a settings store such as a Map, Enmap or Keyv
+      const overrides = typeof source === "function"
+        ? await source(guildId, member)
+        : await source.get(guildId);
+
+      if (overrides) {
+        checkInvalidKey(overrides, GUILD_OPTION_KEYS, "YouTubeMusicPlugin.guildOptions");
+        if (overrides.filters) checkInvalidKey(overrides.filters, FILTER_KEYS, "YouTubeMusicPlugin.guildOptions.filters");
+        if (overrides.audioFormat) this.checkAudioFormat(overrides.audioFormat, "YouTubeMusicPlugin.guildOptions.audioFormat");
+        if (overrides.watchListPolicy !== undefined) this.checkWatchListPolicy(overrides.watchListPolicy);
+        config = {
+          ...config,
+          ...overrides,
+          filters: { ...config.filters, ...overrides.filters },
+        };
+      }
+    }
+
+    if (request.language || request.region) {
+      config = {
+        ...config,
+        language: request.language || config.language,
+        region: request.region || config.region,
+      };
+    }
+    return config;
+  }
+
+  /**
+   * Check the keys and codecs of an `audioFormat` option
+   * @param {Object} audioFormat Audio format option
+   * @param {string} name Name of the option in error messages
+   * @returns {void}
+   * @throws {DisTubeError} If a key or a codec is not supported
+   * @private
+   */
+  checkAudioFormat(audioFormat, name) {
+    checkInvalidKey(audioFormat, AUDIO_FORMAT_KEYS, name);
+    for (const codec of [audioFormat.codec, ...(audioFormat.fallback || [])]) {
+      if (codec && !resolveCodec(codec)) {
+        throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", `Unsupported audio codec: ${codec}`);
+      }
+    }
+  }
+
+  /**
+   * Check a `watchListPolicy` option
+   * @param {string} policy Watch list policy
+   * @returns {void}
+   * @throws {DisTubeError} If the policy is not `song`, `startAtSong` or `playlist`
+   * @private
+   */
+  checkWatchListPolicy(policy) {
+    if (!WATCH_LIST_POLICIES.includes(policy)) {
+      throw new DisTubeError(
+        "YTMUSIC_PLUGIN_ERROR",
+        `Unsupported watch list policy: ${policy}, expected one of ${WATCH_LIST_POLICIES.join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * Get the ytmusic-api client for the language and region of a request
+   * Clients of other locales than the plugin's are initialized on first use and kept, up to
+   * {@link MAX_LOCALE_CLIENTS} of them
+   * @param {Object} config Options of the request
+   * @returns {Promise<YTMusic>}
+   * @private
+   */
+  async getClient(config) {
+    const { language, region } = config;
+    if (language === this.options.language && region === this.options.region) return this.ytmusic;
+
+    const key = `${language || ""}:${region || ""}`;
+    // Concurrent requests share one initialization, a failed one is not kept so the next request tries again
+    return this.localeClients.wrap(key, async () => {
+      const client = new YTMusic();
+      await client.initialize(this.getLocaleOptions(config));
+      return client;
+    });
+  }
+
+  /**
+   * Get the ytmusic-api initialize options for a language and region
+   * @param {Object} config Options with `language` and `region`
+   * @returns {Object}
+   * @private
+   */
+  getLocaleOptions(config) {
+    return {
+      ...(config.language && { HL: config.language }),
+      ...(config.region && { GL: config.region }),
+    };
+  }
+
+  /**
+   * Get the ytdl-core request options for a guild, using its own cookies when it overrides them
+   * and its language for the video details
+   * @param {Object} config Options of the guild
+   * @returns {Object}
+   * @private
+   */
+  getRequestOptions(config) {
+    let agent = this.agent;
+    if (Array.isArray(config.cookies) && config.cookies !== this.options.cookies) {
+      const key = JSON.stringify(config.cookies);
+      agent = this.guildAgents.get(key);
+      if (!agent) {
+        agent = ytdl.createAgent(config.cookies, this.options.agentOptions);
+        this.guildAgents.set(key, agent);
+      }
+    }
+    return {
+      ...(agent && { agent }),
+      ...(config.language && { lang: config.language }),
+    };
+  }
+
+  /**
+   * Get the key of a video in the info and stream caches
+   * The guild's cookies and language change what ytdl-core returns, so they are part of the key
+   * @param {string} id Video ID
+   * @param {Object} config Options of the guild
+   * @param {boolean} [withFormat=false] Also key by the `audioFormat` option, for caches of chosen formats
+   * @returns {string}
+   * @private
+   */
+  getCacheKey(id, config, withFormat = false) {
+    const cookies = Array.isArray(config.cookies) && config.cookies !== this.options.cookies
+      ? JSON.stringify(config.cookies)
+      : "";
+    const format = withFormat ? JSON.stringify(config.audioFormat || {}) : "";
+    return [id, cookies, config.language || "", format].join("|");
+  }
+
+  /**
+   * Emit a plugin event through the DisTube instance
+   * @param {string} event Event name from {@link PluginEvents}
+   * @param {...*} args Event arguments
+   * @private
+   */
+  emitEvent(event, ...args) {
+    if (this.distube) this.distube.emit(event, ...args);
+  }
+
+  /**
+   * Check a song against the content filters, reporting it when it is rejected
+   * @param {Song} song Song to check
+   * @param {Object} [config] Options of the guild the song is played in
+   * @returns {string|null} Reason the song is rejected for, or null if it is allowed
+   * @private
+   */
+  checkFilters(song, config = this.options) {
+    const reason = getFilterReason(song, config.filters);
+    if (reason) {
+      console.log(`Song ${song.id} (${song.name}) rejected by content filters: ${reason}`);
+      this.emitEvent(PluginEvents.SONG_FILTERED, song, reason);
+    }
+    return reason;
+  }
+
+  /**
+   * Remove the songs rejected by the content filters
+   * @param {Song[]} songs Songs to filter
+   * @param {Object} [config] Options of the guild the songs are played in
+   * @returns {Song[]}
+   * @private
+   */
+  filterSongs(songs, config = this.options) {
+    return songs.filter(song => !this.checkFilters(song, config));
+  }
+
+  /**
+   * Get the tracks of an InnerTube response, for their explicit badges
+   * ytmusic-api results do not report explicit songs, so with `blockExplicit` the same list is also read
+   * from InnerTube. Songs whose explicit flag stays unknown are allowed
+   * @param {Object} config Options of the request
+   * @param {Function} fetchPage Async function returning an InnerTube page with `tracks`
+   * @returns {Promise<Array>} Parsed tracks, empty when `blockExplicit` is off or the request fails
+   * @private
+   */
+  async fetchExplicitFlags(config, fetchPage) {
+    if (!config.filters.blockExplicit) return [];
+    try {
+      return (await fetchPage()).tracks;
+    } catch (e) {
+      console.error("Failed to get explicit badges:", e.message);
+      return [];
+    }
+  }
+
+  /**
+   * Convert a raw track into a Song
+   * Accepts ytmusic-api results (songs, videos, album tracks, up-nexts), tracks parsed from
+   * InnerTube responses and ytdl-core `getInfo` results, so every Song is built the same way
+   * @param {Object} track Raw track
+   * @param {Object} [options] Resolve options (`member`, `metadata`)
+   * @param {Object} [options.album] Album the track belongs to
+   * @param {number} [options.year] Release year of the album
+   * @param {number} [options.trackNumber] Position of the track on the album
+   * @returns {Song|null} Song, or null if the track has no video ID
+   */
+  toSong(track, options = {}) {
+    const info = normalizeTrack(track, options);
+    if (!info) return null;
+
+    // DisTube takes the member and metadata from the options
+    const song = new Song({
+      source: "youtube-music",
+      id: info.id,
+      name: info.name,
+      url: info.url,
+      thumbnail: info.thumbnail,
+      duration: info.duration,
+      isLive: info.isLive,
+      views: info.views,
+      uploader: info.uploader,
+      playFromSource: true,
+      plugin: this,
+    }, options);
+    song.musicMetadata = info.musicMetadata;
+    song.liveStatus = info.liveStatus;
+    return song;
+  }
+
   /**
    * Process playlist tracks to Song objects
    * @param {Array} tracks Tracks to process
    * @param {Object} options Options
+   * @param {Object} [context] Album context, see {@link toSong}
+   * @param {Object} [config] Options of the guild the songs are played in
    * @returns {Promise<Array<Song>>}
    * @private
    */
-  async processPlaylistTracks(tracks, options) {
+  async processPlaylistTracks(tracks, options, context = {}, config = this.options) {
     const songs = [];
     
-    const processTrack = async (track) => {
+    const processTrack = async (track, index) => {
       try {
-        if (!track || !track.videoId) return null;
-        
-        // Create a Song object and pass options directly
-        // DisTube will handle user information from options
-        return new Song({
-          source: "youtube-music",
-          id: track.videoId,
-          name: track.title || "Unknown Title",
-          url: `https://music.youtube.com/watch?v=${track.videoId}`,
-          thumbnail: track.thumbnails && track.thumbnails.length > 0 
-            ? track.thumbnails[track.thumbnails.length - 1].url 
-            : null,
-          duration: track.duration ? track.duration : 0,
-          uploader: {
-            name: track.artists && track.artists.length > 0 
-              ? track.artists.map(artist => artist.name).join(", ") 
-              : "Unknown Artist"
-          },
-          playFromSource: true,
-          plugin: this,
-          member: options.member || null,
-          metadata: options.metadata || null
-        }, options);
+        return this.toSong(track, {
+          ...options,
+          ...context,
+          trackNumber: context.album ? index + 1 : null,
+        });
       } catch (err) {
         console.error(`Error processing track ${track?.videoId || 'unknown'}:`, err);
         return null;
@@ -409,63 +989,52 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
     };
     
     if (this.options.parallel) {
-      const results = await Promise.all(tracks.map(track => processTrack(track)));
+      const results = await Promise.all(tracks.map((track, index) => processTrack(track, index)));
       songs.push(...results.filter(Boolean));
     } else {
-      for (const track of tracks) {
-        const song = await processTrack(track);
+      for (const [index, track] of tracks.entries()) {
+        const song = await processTrack(track, index);
         if (song) songs.push(song);
       }
     }
     
-    return songs;
+    return this.filterSongs(songs, config);
   }
 
   /**
    * Search for a Song which playable from this plugin's source
+   * Results are ranked by {@link rankSongs} instead of taking YouTube Music's first hit
    * @param {string} query Search query
    * @param {ResolveOptions} options Optional options
+   * @param {number} [options.duration] Preferred duration in seconds
    * @returns {Promise<Song | null>}
    */
   async searchSong(query, options = {}) {
     try {
       console.log(`Searching for: "${query}"`);
-      const searchResults = await this.ytmusic.searchSongs(query);
+      const config = await this.getGuildOptions(options.member, options);
+      const client = await this.getClient(config);
+      // Read from InnerTube rather than ytmusic-api, which drops the explicit badges
+      const { tracks: searchResults } = await fetchSearchPage(client, query, "song");
 
-      if (!searchResults || searchResults.length === 0) {
+      if (searchResults.length === 0) {
         console.log("No search results found");
         return null;
       }
 
-      console.log(`Found ${searchResults.length} results, using first result`);
-      
-      const firstResult = searchResults[0];
-      if (!firstResult.videoId) {
-        console.log("First result has no videoId");
+      const songs = searchResults.map(result => this.toSong(result, options)).filter(Boolean);
+      if (songs.length === 0) {
+        console.log("No search results with a videoId");
         return null;
       }
 
-      // Create a Song object following DisTube standard pattern like YouTube plugin
-      // DisTube will handle the user data from options.member automatically
-      return new Song({
-        source: "youtube-music",
-        id: firstResult.videoId,
-        name: firstResult.name || "Unknown Title",
-        url: `https://music.youtube.com/watch?v=${firstResult.videoId}`,
-        thumbnail: firstResult.thumbnails && firstResult.thumbnails.length > 0 
-          ? firstResult.thumbnails[firstResult.thumbnails.length - 1].url 
-          : null,
-        duration: firstResult.duration ? firstResult.duration : 0,
-        uploader: {
-          name: firstResult.artists && firstResult.artists.length > 0 
-            ? firstResult.artists.map(artist => artist.name).join(", ") 
-            : "Unknown Artist"
-        },
-        playFromSource: true,
-        plugin: this,
-        member: options.member || null,
-        metadata: options.metadata || null
-      }, options);
+      console.log(`Found ${songs.length} results, using best match`);
+      for (const song of this.rankSongs(songs, query, options)) {
+        if (!this.checkFilters(song, config)) return song;
+      }
+
+      console.log("Every search result was rejected by the content filters");
+      return null;
     } catch (e) {
       console.error("Search error:", e);
       return null;
@@ -474,89 +1043,250 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
 
   /**
    * Search for multiple Songs from YouTube Music
+   * Results are paged: the returned array has a `cursor` property to pass back as `options.cursor`
+   * for the next page, or null when there are no more results
+   * Use {@link search} for albums, playlists and artists
    * @param {string} query Search query
    * @param {Object} options Optional options
-   * @param {string} [options.type='song'] Type of search result ('song', 'album', 'playlist', 'artist')
+   * @param {string} [options.type='song'] Type of search result ('song', 'video')
    * @param {number} [options.limit=3] Maximum number of results to return
-   * @returns {Promise<Song[]>}
+   * @param {number} [options.offset=0] Number of results to skip, ignored when a cursor is given
+   * @param {string} [options.cursor] Cursor returned with the previous page, an invalid cursor or one of another
+   * search gives no results
+   * @param {boolean} [options.rank=false] Sort each page of results by {@link rankSongs} before taking the
+   * `limit` first ones, instead of keeping YouTube Music's order
+   * @param {number} [options.duration] Preferred duration in seconds, used when ranking
+   * @returns {Promise<Song[]>} Songs, with the `cursor` of the next page
+   * @throws {DisTubeError} If the type is not `song` or `video`
    */
   async searchSongs(query, options = {}) {
+    const type = options.type || 'song';
+    if (type !== "song" && type !== "video") {
+      throw new DisTubeError(
+        "YTMUSIC_PLUGIN_ERROR",
+        `Unsupported search type: ${type}, use search() for albums, playlists and artists`,
+      );
+    }
+    const limit = options.limit || 3;
+    const rank = Boolean(options.rank);
+
+    let songs = [];
+    let cursor = null;
     try {
-      const type = options.type || 'song';
-      const limit = options.limit || 3;
-      
+      let { continuation, skip } = options.cursor
+        ? this.decodeSearchCursor(options.cursor, query, type, rank)
+        : { continuation: null, skip: options.offset || 0 };
+
       console.log(`Searching for ${type}s with query: "${query}" (limit: ${limit})`);
-      
-      let searchResults = [];
-      
-      // Use the appropriate search method based on type
-      switch (type) {
-        case 'song':
-          searchResults = await this.ytmusic.searchSongs(query);
-          break;
-        case 'album':
-          searchResults = await this.ytmusic.searchAlbums(query);
-          break;
-        case 'playlist':
-          searchResults = await this.ytmusic.searchPlaylists(query);
+      const config = await this.getGuildOptions(options.member, options);
+      const client = await this.getClient(config);
+
+      // Walk the result pages until the limit is reached, remembering where the page was left
+      while (songs.length < limit) {
+        const page = await fetchSearchPage(client, query, type, continuation);
+        const candidates = page.tracks.map(track => this.toSong(track, options)).filter(Boolean);
+        // The whole page is ranked before it is cut, the same page is ranked the same way when the cursor comes back
+        const ordered = rank ? this.rankSongs(candidates, query, options) : candidates;
+
+        // Rejected songs count as consumed so the cursor never returns them again
+        let consumed = skip;
+        while (consumed < ordered.length && songs.length < limit) {
+          const song = ordered[consumed++];
+          if (!this.checkFilters(song, config)) songs.push(song);
+        }
+
+        if (consumed < ordered.length) {
+          cursor = this.encodeSearchCursor({ query, type, rank, continuation, skip: consumed });
           break;
-        case 'artist':
-          searchResults = await this.ytmusic.searchArtists(query);
+        }
+        if (!page.continuation || page.continuation === continuation) {
+          cursor = null;
           break;
-        default:
-          searchResults = await this.ytmusic.searchSongs(query);
+        }
+
+        skip = Math.max(skip - ordered.length, 0);
+        continuation = page.continuation;
+        cursor = this.encodeSearchCursor({ query, type, rank, continuation, skip });
       }
 
-      if (!searchResults || searchResults.length === 0) {
+      if (songs.length === 0) {
         console.log(`No ${type} search results found`);
-        return [];
+      } else {
+        console.log(`Returning ${songs.length} results${cursor ? ", more available" : ""}`);
       }
+    } catch (e) {
+      console.error("Search songs error:", e);
+      songs = []; // Return empty array on error
+      cursor = null;
+    }
 
-      // Limit the number of results
-      const limitedResults = searchResults.slice(0, limit);
-      console.log(`Found ${searchResults.length} results, returning ${limitedResults.length}`);
-      
-      // Process results into Song objects
-      const songs = [];
-      
-      for (const result of limitedResults) {
-        // Skip items without videoId
-        if (!result.videoId) {
-          console.log(`Result skipped - no videoId: ${result.name || 'Unknown'}`);
-          continue;
-        }
-        
-        // Create a Song object with standard pattern
-        songs.push(new Song({
-          source: "youtube-music",
-          id: result.videoId,
-          name: result.name || result.title || "Unknown Title",
-          url: `https://music.youtube.com/watch?v=${result.videoId}`,
-          thumbnail: result.thumbnails && result.thumbnails.length > 0 
-            ? result.thumbnails[result.thumbnails.length - 1].url 
-            : null,
-          duration: result.duration ? result.duration : 0,
-          uploader: {
-            name: result.artists && result.artists.length > 0 
-              ? result.artists.map(artist => artist.name).join(", ") 
-              : "Unknown Artist"
-          },
-          playFromSource: true,
-          plugin: this,
-          member: options.member || null,
-          metadata: options.metadata || null
-        }, options));
+    songs.cursor = cursor;
+    return songs;
+  }
+
+  /**
+   * Encode the position in a search result list into an opaque cursor
+   * @param {Object} position Search position
+   * @param {string} position.query Search query
+   * @param {string} position.type Result type
+   * @param {boolean} position.rank Whether the pages are ranked, which changes the order `skip` counts in
+   * @param {string|null} position.continuation Continuation token of the page to fetch
+   * @param {number} position.skip Number of results of that page already returned
+   * @returns {string}
+   * @private
+   */
+  encodeSearchCursor({ query, type, rank, continuation, skip }) {
+    return Buffer.from(JSON.stringify({ q: query, t: type, r: rank, c: continuation, s: skip })).toString("base64url");
+  }
+
+  /**
+   * Decode a search cursor, checking that it belongs to the same search
+   * @param {string} cursor Cursor returned by {@link searchSongs}
+   * @param {string} query Search query
+   * @param {string} type Result type
+   * @param {boolean} rank Whether the pages are ranked
+   * @returns {{continuation: string|null, skip: number}}
+   * @throws {DisTubeError} If the cursor is invalid or belongs to another search
+   * @private
+   */
+  decodeSearchCursor(cursor, query, type, rank) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch (e) {
+      throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "Invalid search cursor");
+    }
+    if (!position || position.q !== query || position.t !== type || Boolean(position.r) !== rank) {
+      throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", "Search cursor belongs to a different search");
+    }
+    return { continuation: position.c || null, skip: position.s || 0 };
+  }
+
+  /**
+   * Sort songs by how well they match a search query
+   * Title and artist similarity are weighed against the query, covers, karaoke, remixes, live
+   * recordings and edits are penalised unless the query asks for them
+   * @param {Song[]} songs Songs in search result order
+   * @param {string} query Search query
+   * @param {Object} [options] Ranking options
+   * @param {number} [options.duration] Preferred duration in seconds, songs further from it rank lower
+   * @returns {Song[]} New array, best match first
+   */
+  rankSongs(songs, query, options = {}) {
+    return rankSongs(songs, query, options);
+  }
+
+  /**
+   * Search YouTube Music for any kind of result
+   * Songs and videos are returned as Songs, albums, playlists and artists as plain objects
+   * with a `type` and a `url` that can be passed to {@link resolve} or `distube.play`
+   * @param {string} query Search query
+   * @param {Object} options Optional options
+   * @param {string} [options.type='all'] Type of search result ('all', 'song', 'video', 'album', 'playlist', 'artist')
+   * @param {number} [options.limit=10] Maximum number of results to return
+   * @returns {Promise<Array<Song|Object>>}
+   */
+  async search(query, options = {}) {
+    const type = options.type || "all";
+    const limit = options.limit || 10;
+    const searchMethod = SEARCH_METHODS[type];
+    if (!searchMethod) {
+      throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", `Unsupported search type: ${type}`);
+    }
+
+    try {
+      console.log(`Searching for ${type} results with query: "${query}" (limit: ${limit})`);
+      const config = await this.getGuildOptions(options.member, options);
+      const client = await this.getClient(config);
+      let searchResults;
+      if (type === "song" || type === "video") {
+        // Read from InnerTube rather than ytmusic-api, which drops the explicit badges
+        searchResults = (await fetchSearchPage(client, query, type)).tracks;
+      } else {
+        const [results, flags] = await Promise.all([
+          client[searchMethod](query),
+          type === "all" ? this.fetchExplicitFlags(config, () => fetchSearchPage(client, query, "all")) : [],
+        ]);
+        searchResults = results && applyExplicitFlags(results, flags);
+      }
+      if (!searchResults || searchResults.length === 0) return [];
+
+      const results = [];
+      for (const item of searchResults) {
+        if (results.length >= limit) break;
+        // Mixed searches tag every item with its type, typed searches only return that type
+        const result = item.videoId
+          ? this.toSong(item, options)
+          : toEntityResult(item, type === "all" ? item.type : type);
+        if (result && !(item.videoId && this.checkFilters(result, config))) results.push(result);
       }
 
-      return songs;
+      return results;
     } catch (e) {
-      console.error("Search songs error:", e);
-      return []; // Return empty array on error
+      console.error("Search error:", e);
+      return [];
     }
   }
 
+  /**
+   * Get YouTube Music search suggestions for a partial query, e.g. for slash command autocomplete
+   * Suggestions are cached for `suggestionCacheTTL` and concurrent calls for the same query share one request.
+   * Calls of a member are debounced by `suggestionDebounce`: while they keep typing, only the last query is
+   * requested and the earlier calls get no suggestions
+   * @param {string} query Partial search query
+   * @param {Object} [options] Optional options
+   * @param {GuildMember} [options.member] Member typing the query, for the guild's language and region and
+   * the debounce
+   * @param {string} [options.language] Language of the suggestions, overrides the plugin's
+   * @param {string} [options.region] Region of the suggestions, overrides the plugin's
+   * @returns {Promise<string[]>}
+   */
+  async getSearchSuggestions(query, options = {}) {
+    const text = typeof query === "string" ? query.trim().toLowerCase() : "";
+    if (!text) return [];
+
+    try {
+      const config = await this.getGuildOptions(options.member, options);
+      const key = `${config.language || ""}:${config.region || ""}:${text}`;
+      const loader = async () => {
+        const client = await this.getClient(config);
+        return (await client.getSearchSuggestions(text)) || [];
+      };
+      const cacheEnabled = this.options.suggestionCacheTTL > 0;
+
+      const cached = cacheEnabled && this.suggestionCache.get(key);
+      if (cached) return cached;
+      if (!(await this.debounceSuggestions(options.member))) return [];
+      return cacheEnabled ? await this.suggestionCache.wrap(key, loader) : await loader();
+    } catch (e) {
+      console.error(`Failed to get search suggestions for "${text}":`, e);
+      return [];
+    }
+  }
+
+  /**
+   * Wait for a member to stop typing before requesting suggestions
+   * @param {GuildMember} [member] Member typing, calls without one are not debounced
+   * @returns {Promise<boolean>} Whether the call is still the member's latest one
+   * @private
+   */
+  async debounceSuggestions(member) {
+    if (!member || !member.id || !(this.options.suggestionDebounce > 0)) return true;
+
+    const call = {};
+    this.suggestionTypists.set(member.id, call);
+    await new Promise(resolve => setTimeout(resolve, this.options.suggestionDebounce));
+    if (this.suggestionTypists.get(member.id) !== call) return false;
+    this.suggestionTypists.delete(member.id);
+    return true;
+  }
+
   /**
    * Get the stream URL from Song's URL
+   * If the song is unavailable in the region or removed, another upload of the same recording is
+   * played instead (see `unavailableFallback`) and kept as `song.substitute`.
+   * The chosen format is recorded as `song.streamFormat`.
+   * With `directStream`, the URL is a loopback URL of the plugin's relay instead of a googlevideo URL
    * @param {Song} song Input song
    * @returns {Promise<string>}
    */
@@ -566,20 +1296,9 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
     }
 
     try {
-      console.log(`Getting stream URL for song ID: ${song.id}`);
-      // Get the format info without downloading
-      const info = await ytdl.getInfo(`https://music.youtube.com/watch?v=${song.id}`);
-      const format = ytdl.chooseFormat(info.formats, {
-        filter: "audioonly",
-        quality: "highestaudio",
-        ...this.distube.options.ytdlOptions,
-      });
-
-      if (!format || !format.url) {
-        throw new Error("No suitable audio format found");
-      }
-
-      console.log("Stream URL obtained successfully");
+      const config = await this.getGuildOptions(song.member);
+      const format = await this.getSongFormat(song, config);
+      if (config.directStream) return await this.relayFormat(song, format, config);
       return format.url;
     } catch (e) {
       console.error("Error getting stream URL:", e);
@@ -587,8 +1306,345 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
     }
   }
 
+  /**
+   * Get the position to seek to for a chapter of a song
+   * Chapters are known for songs resolved from a video URL, see `song.chapters`
+   * @param {Song} song Song with chapters
+   * @param {number|string} chapter Chapter number (1-based, `3` or `"chapter 3"`) or (part of) its title
+   * @returns {number|null} Start of the chapter in seconds, null if the song has no such chapter
+   */
+  getChapterOffset(song, chapter) {
+    const found = findChapter(song && song.chapters, chapter);
+    return found ? found.start : null;
+  }
+
+  /**
+   * Download a song's audio as a stream, through the cookie agent and in chunks
+   * The format is chosen like in {@link YouTubeMusicPlugin#getStreamURL}. Dropped downloads are
+   * resumed from where they stopped with a fresh URL
+   * @param {Song} song Input song
+   * @param {Object} [options] Stream options
+   * @param {Object} [options.range] Byte range to download, `{ start, end }`
+   * @returns {Promise<Readable>}
+   */
+  async createStream(song, options = {}) {
+    if (!song || !song.id) {
+      throw new DisTubeError("INVALID_TYPE", "Song", song);
+    }
+
+    try {
+      const config = await this.getGuildOptions(song.member);
+      const format = await this.getSongFormat(song, config);
+      return this.openStream(song, format, config, options.range);
+    } catch (e) {
+      console.error("Error creating stream:", e);
+      throw new DisTubeError("YTMUSIC_PLUGIN_ERROR", e.message || "Failed to create stream");
+    }
+  }
+
+  /**
+   * Get the audio format to stream for a song, playing another upload if it is unavailable
+   * Songs that turn out to be live streams are checked against the content filters again
+   * @param {Song} song Input song
+   * @param {Object} config Options of the request
+   * @returns {Promise<Object>} ytdl-core format
+   * @private
+   */
+  async getSongFormat(song, config) {
+    const streamId = song.substitute ? song.substitute.id : song.id;
+    console.log(`Getting stream URL for song ID: ${streamId}`);
+
+    let format;
+    try {
+      format = await this.getStreamFormat(streamId, config);
+    } catch (e) {
+      if (!config.unavailableFallback || song.substitute || !UNAVAILABLE_PATTERN.test(e.message)) throw e;
+
+      console.log(`Song ${song.id} is unavailable (${e.message}), looking for another upload`);
+      format = await this.playSubstitute(song, config, e.message);
+      if (!format) throw e;
+    }
+
+    // Search and playlist results rarely know that a video is a live stream, its HLS format does
+    if (format.isHLS && !song.isLive) {
+      song.isLive = true;
+      song.liveStatus = LiveStatus.LIVE;
+      const filterReason = this.checkFilters(song, config);
+      if (filterReason) throw new Error(`Song rejected by content filters: ${filterReason}`);
+    }
+
+    song.streamFormat = describeFormat(format);
+    if (song.streamFormat.loudnessDb !== null) song.loudnessDb = song.streamFormat.loudnessDb;
+    if (config.loudnessNormalization) song.loudnessAdjustment = this.getLoudnessAdjustment(song, config);
+    return format;
+  }
+
+  /**
+   * Get the gain that brings a song to the same loudness as the rest of the queue
+   * The loudness is known once the song is resolved from a video URL or its stream URL is fetched
+   * @param {Song} song Song with `loudnessDb`
+   * @param {Object} [config] Options with `loudnessNormalization`, defaults to the plugin options
+   * @returns {Object|null} `{ gainDb, volume, ffmpegArgs }`, null if the loudness of the song is unknown
+   */
+  getLoudnessAdjustment(song, config = this.options) {
+    const normalization = config.loudnessNormalization;
+    return normalizeLoudness(song.loudnessDb, typeof normalization === "object" ? normalization : {});
+  }
+
+  /**
+   * Download a song's format, resuming the download with a fresh URL of the same format when the
+   * connection drops or the URL expires
+   * @param {Song} song Song being played
+   * @param {Object} format ytdl-core format
+   * @param {Object} config Options of the request
+   * @param {Object} [range] Byte range to download
+   * @returns {Readable}
+   * @private
+   */
+  openStream(song, format, config, range) {
+    const id = song.substitute ? song.substitute.id : song.id;
+    let current = format;
+    return createResumableStream({
+      open: nextRange => this.downloadFormat(current, config, nextRange),
+      refresh: async () => {
+        current = await this.refreshStreamFormat(id, current.itag, config);
+      },
+      range,
+      contentLength: Number(format.contentLength) || 0,
+      maxResumes: MAX_STREAM_RESUMES,
+    });
+  }
+
+  /**
+   * Download a format with ytdl-core
+   * @param {Object} format ytdl-core format
+   * @param {Object} config Options of the request
+   * @param {Object} [range] Byte range to download
+   * @returns {Readable}
+   * @private
+   */
+  downloadFormat(format, config, range) {
+    const { agent } = this.getRequestOptions(config);
+    // Only the chosen format is cached, which is all downloadFromInfo needs from the info
+    return ytdl.downloadFromInfo({ full: true, formats: [format] }, {
+      format,
+      ...(agent && { agent }),
+      ...(range && { range }),
+    });
+  }
+
+  /**
+   * Serve a song's format through the loopback relay
+   * The relay URL outlives the format URL, dropped downloads are resumed with a fresh one
+   * @param {Song} song Song being played
+   * @param {Object} format ytdl-core format
+   * @param {Object} config Options of the request
+   * @returns {Promise<string>} Relay URL
+   * @private
+   */
+  async relayFormat(song, format, config) {
+    if (!this.relay) this.relay = new StreamRelay();
+
+    const url = await this.relay.register(
+      range => this.openStream(song, format, config, range),
+      {
+        contentLength: Number(format.contentLength) || undefined,
+        mimeType: format.mimeType ? format.mimeType.split(";")[0] : undefined,
+      },
+    );
+    console.log(`Relaying stream through ${url}`);
+    return url;
+  }
+
+  /**
+   * Get the audio format to stream for a video, from the stream cache when it is still fresh
+   * Formats that expire soon are returned and refreshed in the background
+   * @param {string} id Video ID
+   * @param {Object} config Options of the request
+   * @returns {Promise<Object>} ytdl-core format
+   * @private
+   */
+  async getStreamFormat(id, config) {
+    if (!this.options.streamCache) return this.fetchStreamFormat(id, config);
+
+    const key = this.getCacheKey(id, config, true);
+    const loader = () => this.fetchStreamFormat(id, config);
+    const ttl = format => this.getStreamTTL(format);
+
+    const cached = this.streamCache.get(key);
+    if (cached) {
+      console.log(`Using cached stream URL for ${id}`);
+      if (this.streamCache.timeLeft(key) < STREAM_REFRESH_WINDOW) {
+        this.streamCache.refresh(key, loader, ttl).catch(e => {
+          console.error(`Error refreshing stream URL of ${id}:`, e.message);
+        });
+      }
+      return cached;
+    }
+    return this.streamCache.wrap(key, loader, ttl);
+  }
+
+  /**
+   * Get a fresh URL of a format that is being downloaded, replacing the cached one
+   * @param {string} id Video ID
+   * @param {number} itag Itag of the format, the download can only continue with the same format
+   * @param {Object} config Options of the request
+   * @returns {Promise<Object>} ytdl-core format
+   * @private
+   */
+  refreshStreamFormat(id, itag, config) {
+    const loader = () => this.fetchStreamFormat(id, config, itag);
+    if (!this.options.streamCache) return loader();
+    return this.streamCache.refresh(this.getCacheKey(id, config, true), loader, format => this.getStreamTTL(format));
+  }
+
+  /**
+   * Get how long a format URL can be cached
+   * @param {Object} format ytdl-core format
+   * @returns {number} Time-to-live in milliseconds
+   * @private
+   */
+  getStreamTTL(format) {
+    const expiry = getExpiry(format.url);
+    return expiry ? expiry - Date.now() - STREAM_EXPIRY_MARGIN : DEFAULT_STREAM_TTL;
+  }
+
+  /**
+   * Get the audio format to stream for a video, chosen according to the `audioFormat` option
+   * Failed extractions are retried and moved to the next player client following the `retry` option,
+   * unavailable videos fail right away
+   * @param {string} id Video ID
+   * @param {Object} config Options of the request
+   * @param {number} [itag] Itag of the format to get instead of choosing one
+   * @returns {Promise<Object>} ytdl-core format
+   * @private
+   */
+  async fetchStreamFormat(id, config, itag) {
+    // Reuse the info fetched by resolve if the song is played soon after, it is only used once
+    const infoKey = this.getCacheKey(id, config);
+    const cachedInfo = !itag && this.infoCache.get(infoKey);
+    if (cachedInfo) {
+      this.infoCache.delete(infoKey);
+      const format = this.pickStreamFormat(cachedInfo, config);
+      if (format) {
+        console.log(`Using video info from resolve for ${id}`);
+        return format;
+      }
+    }
+
+    return withRetry(
+      async playerClient => {
+        // Get the format info without downloading
+        const info = await ytdl.getInfo(`https://music.youtube.com/watch?v=${id}`, {
+          ...this.getRequestOptions(config),
+          ...(playerClient && { playerClients: [playerClient] }),
+        }).catch(e => {
+          throw this.toUpcomingError(e);
+        });
+        const format = this.pickStreamFormat(info, config, itag);
+
+        if (!format) {
+          throw new Error(itag ? `Format ${itag} is no longer available` : "No suitable audio format found");
+        }
+
+        console.log(`Stream URL obtained successfully (itag ${format.itag}, ${format.audioCodec}, ${format.audioBitrate}kbps)`);
+        return format;
+      },
+      this.options.retry,
+      e => UNAVAILABLE_PATTERN.test(e.message) || e.message.startsWith(UPCOMING_MESSAGE),
+    );
+  }
+
+  /**
+   * Pick the format to stream from a video info
+   * Live streams are played from their HLS format, ended ones like any video
+   * @param {Object} info ytdl-core video info
+   * @param {Object} config Options of the request
+   * @param {number} [itag] Itag of the format to pick instead of choosing one
+   * @returns {Object|null} ytdl-core format
+   * @throws {Error} If the video is a live stream or premiere that has not started
+   * @private
+   */
+  pickStreamFormat(info, config, itag) {
+    const live = getLiveStatus(info);
+    if (live.status === LiveStatus.UPCOMING) throw new Error(this.getUpcomingMessage(live));
+
+    if (itag) return info.formats.find(format => format.itag === itag && format.url) || null;
+    if (live.status === LiveStatus.LIVE) return chooseLiveFormat(info.formats);
+    return chooseAudioFormat(info.formats, config.audioFormat);
+  }
+
+  /**
+   * Get the error message of a live stream or premiere that has not started
+   * @param {Object} live Live state, see {@link getLiveStatus}
+   * @param {string} [live.reason] YouTube's reason, used when the start time is unknown
+   * @returns {string}
+   * @private
+   */
+  getUpcomingMessage(live) {
+    if (live.startsAt) return `${UPCOMING_MESSAGE}, it starts at ${new Date(live.startsAt).toISOString()}`;
+    if (live.reason) return `${UPCOMING_MESSAGE} (${live.reason})`;
+    return UPCOMING_MESSAGE;
+  }
+
+  /**
+   * Convert ytdl-core's error of a live stream or premiere that has not started into the plugin's error
+   * @param {Error} error Error thrown by ytdl-core
+   * @returns {Error} Error starting with the upcoming message, or the error itself if it is about something else
+   * @private
+   */
+  toUpcomingError(error) {
+    if (!error || !OFFLINE_PATTERN.test(error.message)) return error;
+    return new Error(this.getUpcomingMessage({ startsAt: null, reason: error.message }));
+  }
+
+  /**
+   * Find another upload of an unavailable song's recording and get its stream format
+   * Candidates come from a song and video search for "artist - title", must match the title,
+   * artists and duration of the song and pass the content filters
+   * @param {Song} song Unavailable song
+   * @param {Object} config Options of the request
+   * @param {string} reason Why the song is unavailable
+   * @returns {Promise<Object|null>} Stream format of the substitute, or null if none is playable
+   * @private
+   */
+  async playSubstitute(song, config, reason) {
+    const artists = song.musicMetadata && song.musicMetadata.artists.length > 0
+      ? song.musicMetadata.artists.map(artist => artist.name).join(" ")
+      : song.uploader.name;
+    const query = `${artists} - ${song.name}`;
+
+    const client = await this.getClient(config);
+    const search = type => fetchSearchPage(client, query, type).then(page => page.tracks, () => []);
+    const results = [...(await search("song")), ...(await search("video"))];
+    const candidates = this.rankSongs(
+      results.map(track => this.toSong(track, { member: song.member, metadata: song.metadata })).filter(Boolean),
+      query,
+      { duration: song.duration },
+    )
+      .filter(candidate => isSameRecording(candidate, song))
+      .slice(0, MAX_SUBSTITUTE_ATTEMPTS);
+
+    for (const candidate of candidates) {
+      if (this.checkFilters(candidate, config)) continue;
+      try {
+        const format = await this.getStreamFormat(candidate.id, config);
+        song.substitute = candidate;
+        console.log(`Playing ${candidate.id} (${candidate.name}) instead of unavailable ${song.id}`);
+        this.emitEvent(PluginEvents.SONG_SUBSTITUTED, song, candidate, reason);
+        return format;
+      } catch (e) {
+        console.log(`Substitute ${candidate.id} is not playable either: ${e.message}`);
+      }
+    }
+
+    console.log(`No playable upload found for ${song.id}`);
+    return null;
+  }
+
   /**
    * Get related songs
+   * Songs from a radio keep playing the radio, other songs get YouTube Music's up next queue
    * @param {Song} song
    * @returns {Promise<Song[]>}
    */
@@ -599,51 +1655,84 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
     }
 
     try {
+      const config = await this.getGuildOptions(song.member);
+
+      // Keep playing from the radio the song came from
+      if (song.radioId && config.radioRefill) {
+        const radioSongs = await this.getNextRadioSongs(song.radioId, config);
+        if (radioSongs.length > 0) return radioSongs;
+      }
+
       console.log(`Getting related songs for: ${song.id}`);
-      const related = await this.ytmusic.getRelated(song.id);
-      if (!related || !related.tracks || !Array.isArray(related.tracks)) {
+      const client = await this.getClient(config);
+      // getUpNexts drops the explicit badges, read the same queue from InnerTube when they are needed
+      const related = config.filters.blockExplicit
+        ? (await fetchRadioPage(client, { playlistId: `RDAMVM${song.id}`, videoId: song.id })).tracks
+          .filter(track => track.videoId !== song.id)
+        : await client.getUpNexts(song.id);
+      if (!Array.isArray(related) || related.length === 0) {
         console.log("No related tracks found");
         return [];
       }
 
-      console.log(`Found ${related.tracks.length} related tracks`);
-      
-      const songs = [];
-      for (const track of related.tracks) {
-        if (!track || !track.videoId) continue;
-        
-        // Membuat Song object dengan pola standar
-        songs.push(new Song({
-          source: "youtube-music",
-          id: track.videoId,
-          name: track.title || "Unknown Title",
-          url: `https://music.youtube.com/watch?v=${track.videoId}`,
-          thumbnail: track.thumbnails && track.thumbnails.length > 0 
-            ? track.thumbnails[track.thumbnails.length - 1].url 
-            : null,
-          duration: track.duration ? track.duration : 0,
-          uploader: {
-            name: track.artists && track.artists.length > 0 
-              ? track.artists.map(artist => artist.name).join(", ") 
-              : "Unknown Artist"
-          },
-          playFromSource: true,
-          plugin: this
-        }));
-      }
+      console.log(`Found ${related.length} related tracks`);
 
-      return songs;
+      const songs = related.map(track => this.toSong(track, { member: song.member, metadata: song.metadata }));
+      return this.filterSongs(songs.filter(Boolean), config);
     } catch (e) {
       console.error(`Failed to get related songs for ${song.id}:`, e);
       return []; // Return an empty array if fails
     }
   }
 
+  /**
+   * Get the next unplayed song of a radio, fetching its next page when the buffer runs dry
+   * @param {string} radioId ID of the radio the songs were resolved from
+   * @param {Object} [config] Options of the guild the radio is played in
+   * @returns {Promise<Song[]>} Empty if the radio ran out or was dropped from the cache
+   * @private
+   */
+  async getNextRadioSongs(radioId, config = this.options) {
+    const radio = this.radios.get(radioId);
+    if (!radio) return [];
+    // Playing from a radio keeps it cached
+    this.radios.set(radioId, radio);
+
+    try {
+      while (radio.buffer.length === 0 && radio.continuation) {
+        console.log(`Refilling radio ${radio.id}`);
+        const page = await fetchRadioPage(radio.client || this.ytmusic, { playlistId: radio.id, videoId: radio.videoId }, radio.continuation);
+        radio.continuation = page.continuation !== radio.continuation ? page.continuation : null;
+
+        const tracks = page.tracks.filter(track => !radio.seen.has(track.videoId));
+        const songs = await this.processPlaylistTracks(tracks, {}, {}, config);
+        for (const song of songs) {
+          song.radioId = radio.id;
+          radio.seen.add(song.id);
+        }
+        radio.buffer.push(...songs);
+      }
+
+      // DisTube autoplay queues the first song, hand them out one at a time
+      return radio.buffer.length > 0 ? [radio.buffer.shift()] : [];
+    } catch (e) {
+      console.error(`Failed to refill radio ${radio.id}:`, e);
+      return [];
+    }
+  }
+
   /**
    * Cleanup and stop cookie auto-refresh
    * @returns {void}
    */
   destroy() {
+    this.suggestionCache.clear();
+    this.streamCache.clear();
+    this.infoCache.clear();
+    if (this.relay) this.relay.close();
+    this.guildAgents.clear();
+    this.localeClients.clear();
+    this.radios.clear();
     if (this.cookieManager) {
       this.cookieManager.destroy();
       console.log('YouTubeMusicPlugin: Cookie manager stopped');
@@ -651,4 +1740,6 @@ class YouTubeMusicPlugin extends ExtractorPlugin {
   }
 }
 
+YouTubeMusicPlugin.Events = PluginEvents;
+
 export default YouTubeMusicPlugin;
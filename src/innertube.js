@@ -0,0 +1,287 @@
+/**
+ * Helpers for raw YouTube Music InnerTube responses
+ * Used where ytmusic-api does not expose what the plugin needs (continuation paging, radio queues)
+ */
+
+// Search filter params used by YouTube Music for its "Songs" and "Videos" tabs
+const SEARCH_PARAMS = {
+  song: 'Eg-KAQwIARAAGAAgACgAMABqChAEEAMQCRAFEAo%3D',
+  video: 'Eg-KAQwIABABGAAgACgAMABqChAEEAMQCRAFEAo%3D',
+};
+
+/**
+ * Recursively collect every value stored under `key` in a response tree
+ * @param {*} node Response node
+ * @param {string} key Key to collect
+ * @param {Array} [results] Accumulator
+ * @param {string[]} [skipKeys] Keys whose subtrees are not searched
+ * @returns {Array}
+ */
+function collect(node, key, results = [], skipKeys = []) {
+  if (!node || typeof node !== 'object') return results;
+
+  if (Array.isArray(node)) {
+    for (const child of node) collect(child, key, results, skipKeys);
+    return results;
+  }
+
+  for (const [k, value] of Object.entries(node)) {
+    if (k === key) results.push(value);
+    else if (!skipKeys.includes(k)) collect(value, key, results, skipKeys);
+  }
+  return results;
+}
+
+/**
+ * Find the continuation token of a paged response
+ * Handles the legacy `nextContinuationData`, the radio `nextRadioContinuationData`
+ * and the newer `continuationCommand` shapes
+ * @param {Object} data Response data
+ * @returns {string|null}
+ */
+function findContinuation(data) {
+  for (const key of ['nextContinuationData', 'nextRadioContinuationData']) {
+    const legacy = collect(data, key)[0];
+    if (legacy && legacy.continuation) return legacy.continuation;
+  }
+
+  const command = collect(data, 'continuationCommand')[0];
+  if (command && command.token) return command.token;
+
+  return null;
+}
+
+/**
+ * Convert a duration text (H:MM:SS or MM:SS) to seconds
+ * @param {string} text Duration text
+ * @returns {number|null}
+ */
+function parseDuration(text) {
+  if (typeof text !== 'string' || !/^\d+(:\d+)*$/.test(text.trim())) return null;
+  return text
+    .trim()
+    .split(':')
+    .reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Check whether an item carries the explicit content badge
+ * @param {Object} renderer List or panel item renderer
+ * @returns {boolean}
+ */
+function hasExplicitBadge(renderer) {
+  return collect(renderer.badges, 'iconType').includes('MUSIC_EXPLICIT_BADGE');
+}
+
+/**
+ * Get the text runs of a flex column
+ * @param {Object} renderer musicResponsiveListItemRenderer
+ * @param {number} index Column index
+ * @returns {Array}
+ */
+function flexColumnRuns(renderer, index) {
+  const column = renderer.flexColumns && renderer.flexColumns[index];
+  const text = column && column.musicResponsiveListItemFlexColumnRenderer.text;
+  return (text && text.runs) || [];
+}
+
+/**
+ * Parse a musicResponsiveListItemRenderer into a track
+ * The shape matches ytmusic-api's SongDetailed/VideoDetailed results
+ * @param {Object} renderer musicResponsiveListItemRenderer
+ * @returns {Object|null} Track, or null if the item is not playable
+ */
+function parseListItem(renderer) {
+  if (!renderer) return null;
+
+  const titleRun = flexColumnRuns(renderer, 0)[0];
+  const videoId =
+    (renderer.playlistItemData && renderer.playlistItemData.videoId) ||
+    (titleRun &&
+      titleRun.navigationEndpoint &&
+      titleRun.navigationEndpoint.watchEndpoint &&
+      titleRun.navigationEndpoint.watchEndpoint.videoId);
+
+  if (!videoId) return null;
+
+  const browseRuns = (runs) =>
+    runs.filter((run) => run.navigationEndpoint && run.navigationEndpoint.browseEndpoint);
+
+  const artistRuns = flexColumnRuns(renderer, 1);
+  const linkedArtists = browseRuns(artistRuns).filter((run) =>
+    run.navigationEndpoint.browseEndpoint.browseId.startsWith('UC')
+  );
+  const artists = linkedArtists.length
+    ? linkedArtists.map((run) => ({
+      name: run.text,
+      artistId: run.navigationEndpoint.browseEndpoint.browseId,
+    }))
+    : artistRuns.slice(0, 1).map((run) => ({ name: run.text, artistId: null }));
+
+  // Playlists show the album in its own column, search results next to the artist
+  const otherRuns = (renderer.flexColumns || [])
+    .slice(1)
+    .flatMap((column, index) => flexColumnRuns(renderer, index + 1));
+  const albumRun = browseRuns(otherRuns).find((run) =>
+    run.navigationEndpoint.browseEndpoint.browseId.startsWith('MPREb_')
+  );
+  const album = albumRun
+    ? { name: albumRun.text, albumId: albumRun.navigationEndpoint.browseEndpoint.browseId }
+    : null;
+
+  const fixedColumn = renderer.fixedColumns && renderer.fixedColumns[0];
+  const durationRuns =
+    (fixedColumn && fixedColumn.musicResponsiveListItemFixedColumnRenderer.text.runs) ||
+    artistRuns.filter((run) => run.text.includes(':') && parseDuration(run.text) !== null).slice(-1);
+  const thumbnail = renderer.thumbnail && renderer.thumbnail.musicThumbnailRenderer;
+
+  return {
+    videoId,
+    name: titleRun ? titleRun.text : null,
+    artists,
+    album,
+    duration: durationRuns.length ? parseDuration(durationRuns[0].text) : null,
+    thumbnails: thumbnail ? thumbnail.thumbnail.thumbnails : [],
+    isExplicit: hasExplicitBadge(renderer),
+  };
+}
+
+/**
+ * Parse a playlistPanelVideoRenderer (watch queue and radio item) into a track
+ * @param {Object} renderer playlistPanelVideoRenderer
+ * @returns {Object|null} Track, or null if the item is not playable
+ */
+function parsePanelItem(renderer) {
+  if (!renderer || !renderer.videoId) return null;
+
+  const bylineRuns = (renderer.longBylineText && renderer.longBylineText.runs) || [];
+  const browseIdOf = (run) =>
+    run.navigationEndpoint && run.navigationEndpoint.browseEndpoint
+      ? run.navigationEndpoint.browseEndpoint.browseId
+      : null;
+
+  const artistRuns = bylineRuns.filter((run) => (browseIdOf(run) || '').startsWith('UC'));
+  const albumRun = bylineRuns.find((run) => (browseIdOf(run) || '').startsWith('MPREb_'));
+  const lengthRuns = renderer.lengthText && renderer.lengthText.runs;
+
+  return {
+    videoId: renderer.videoId,
+    name: renderer.title && renderer.title.runs ? renderer.title.runs[0].text : null,
+    artists: artistRuns.length
+      ? artistRuns.map((run) => ({ name: run.text, artistId: browseIdOf(run) }))
+      : bylineRuns.slice(0, 1).map((run) => ({ name: run.text, artistId: null })),
+    album: albumRun ? { name: albumRun.text, albumId: browseIdOf(albumRun) } : null,
+    duration: lengthRuns ? parseDuration(lengthRuns[0].text) : null,
+    thumbnails: renderer.thumbnail ? renderer.thumbnail.thumbnails : [],
+    isExplicit: hasExplicitBadge(renderer),
+  };
+}
+
+/**
+ * Parse the header of a browse list (playlist title, thumbnails and track count)
+ * Handles the `musicResponsiveHeaderRenderer` and the older `musicDetailHeaderRenderer` shapes
+ * @param {Object} data Browse response of the first page
+ * @returns {{title: string|null, thumbnails: Array, trackCount: number|null}|null} Null if there is no header
+ */
+function parseBrowseHeader(data) {
+  const header =
+    collect(data, 'musicResponsiveHeaderRenderer')[0] ||
+    collect(data, 'musicDetailHeaderRenderer')[0];
+  if (!header) return null;
+
+  const titleRuns = header.title && header.title.runs;
+  const subtitleRuns = (header.secondSubtitle && header.secondSubtitle.runs) || [];
+  // e.g. "12K views • 1,234 songs • 5+ hours", the count is the run naming songs, tracks or videos
+  const countRun = subtitleRuns.find((run) => /^[\d,.]+ (songs?|tracks?|videos?)$/i.test(run.text));
+
+  return {
+    title: titleRuns && titleRuns.length ? titleRuns.map((run) => run.text).join('') : null,
+    thumbnails: collect(header.thumbnail, 'thumbnails')[0] || [],
+    trackCount: countRun ? parseInt(countRun.text.replace(/[,.]/g, ''), 10) : null,
+  };
+}
+
+/**
+ * Fetch one page of a radio (mix) queue
+ * @param {YTMusic} ytmusic Initialized ytmusic-api client
+ * @param {Object} radio Radio to fetch
+ * @param {string} radio.playlistId Radio playlist ID (`RD...`)
+ * @param {string} [radio.videoId] Seed video ID
+ * @param {string} [continuation] Continuation token of the page, omit for the first page
+ * @returns {Promise<{title: string|null, tracks: Array, continuation: string|null}>}
+ */
+async function fetchRadioPage(ytmusic, { playlistId, videoId }, continuation) {
+  const body = { playlistId, isAudioOnly: true, ...(videoId && { videoId }) };
+  const data = await ytmusic.constructRequest(
+    'next',
+    body,
+    continuation ? { ctoken: continuation, continuation } : {}
+  );
+
+  const panel = collect(data, 'playlistPanelRenderer')[0];
+  return {
+    title: panel && typeof panel.title === 'string' ? panel.title : null,
+    // Skip the video counterparts of songs, they are alternatives of the same queue item
+    tracks: collect(data, 'playlistPanelVideoRenderer', [], ['counterpart'])
+      .map(parsePanelItem)
+      .filter(Boolean),
+    continuation: findContinuation(data),
+  };
+}
+
+/**
+ * Fetch one page of a browse list (playlist contents)
+ * @param {YTMusic} ytmusic Initialized ytmusic-api client
+ * @param {string} browseId Browse ID of the list
+ * @param {string} [continuation] Continuation token of the page, omit for the first page
+ * @returns {Promise<{header: Object|null, tracks: Array, continuation: string|null}>} The header
+ *   is only read from the first page, see {@link parseBrowseHeader}
+ */
+async function fetchBrowsePage(ytmusic, browseId, continuation) {
+  // The token is sent both ways since YouTube accepts either depending on the rollout
+  const data = continuation
+    ? await ytmusic.constructRequest('browse', { continuation }, { continuation })
+    : await ytmusic.constructRequest('browse', { browseId });
+
+  return {
+    header: continuation ? null : parseBrowseHeader(data),
+    tracks: collect(data, 'musicResponsiveListItemRenderer').map(parseListItem).filter(Boolean),
+    continuation: findContinuation(data),
+  };
+}
+
+/**
+ * Fetch one page of song or video search results
+ * @param {YTMusic} ytmusic Initialized ytmusic-api client
+ * @param {string} query Search query
+ * @param {string} type Result type, `song` or `video`, or `all` for the songs and videos of a mixed search
+ * @param {string} [continuation] Continuation token of the page, omit for the first page
+ * @returns {Promise<{tracks: Array, continuation: string|null}>}
+ * @throws {Error} If the type is not one of these
+ */
+async function fetchSearchPage(ytmusic, query, type, continuation) {
+  if (type !== 'all' && !SEARCH_PARAMS[type]) throw new Error(`Unsupported search type: ${type}`);
+
+  const data = await ytmusic.constructRequest(
+    'search',
+    { query, ...(type !== 'all' && { params: SEARCH_PARAMS[type] }) },
+    continuation ? { ctoken: continuation, continuation, type: 'next' } : {}
+  );
+
+  return {
+    tracks: collect(data, 'musicResponsiveListItemRenderer').map(parseListItem).filter(Boolean),
+    continuation: findContinuation(data),
+  };
+}
+
+module.exports = {
+  collect,
+  findContinuation,
+  parseDuration,
+  parseListItem,
+  parsePanelItem,
+  parseBrowseHeader,
+  fetchBrowsePage,
+  fetchRadioPage,
+  fetchSearchPage,
+};
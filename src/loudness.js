@@ -0,0 +1,55 @@
+/**
+ * Loudness normalization
+ * YouTube measures the loudness of every upload relative to its playback reference (about -14 LUFS)
+ * and turns loud uploads down when playing them; this computes the same adjustment for the bot
+ */
+
+const LOUDNESS_KEYS = ['targetDb', 'maxGainDb'];
+
+const DEFAULT_LOUDNESS = {
+  targetDb: 0,
+  maxGainDb: 0,
+};
+
+// Lowest gain ever recommended, uploads reported quieter than this are usually measurement errors
+const MIN_GAIN_DB = -30;
+
+/**
+ * Get the gain that brings a song to the target loudness
+ * @param {number|null} loudnessDb Loudness of the song in dB relative to YouTube's reference
+ * @param {Object} [options] Normalization options
+ * @param {number} [options.targetDb=0] Target loudness relative to YouTube's reference, negative is quieter
+ * @param {number} [options.maxGainDb=0] Maximum boost of quiet songs in dB, 0 only turns loud songs down
+ * like YouTube does
+ * @returns {{gainDb: number, volume: number, ffmpegArgs: {af: string}}|null} Gain in dB, the same gain as a
+ * volume factor and FFmpeg output args applying it, null if the loudness is unknown
+ */
+function normalizeLoudness(loudnessDb, options = {}) {
+  if (typeof loudnessDb !== 'number' || !Number.isFinite(loudnessDb)) return null;
+
+  const { targetDb, maxGainDb } = { ...DEFAULT_LOUDNESS, ...options };
+  const gainDb =
+    Math.round(Math.min(Math.max(targetDb - loudnessDb, MIN_GAIN_DB), maxGainDb) * 100) / 100;
+
+  return {
+    gainDb,
+    volume: Math.round(10 ** (gainDb / 20) * 1000) / 1000,
+    ffmpegArgs: { af: `volume=${gainDb}dB` },
+  };
+}
+
+/**
+ * Get the loudness YouTube reports for a video
+ * @param {Object} info ytdl-core video info
+ * @returns {number|null} Loudness in dB relative to YouTube's reference, null if unknown
+ */
+function getInfoLoudness(info) {
+  const response = info.player_response || {};
+  const audioConfig = (response.playerConfig && response.playerConfig.audioConfig) || {};
+  if (typeof audioConfig.loudnessDb === 'number') return audioConfig.loudnessDb;
+
+  const format = (info.formats || []).find((candidate) => typeof candidate.loudnessDb === 'number');
+  return format ? format.loudnessDb : null;
+}
+
+module.exports = { normalizeLoudness, getInfoLoudness, LOUDNESS_KEYS };
@@ -0,0 +1,191 @@
+/**
+ * Search result ranking
+ * Scores songs against the query the user typed, so "artist - title" searches pick the
+ * original recording over covers, karaoke versions and edits YouTube Music ranks higher
+ */
+
+// Versions that are usually not what the user asked for, unless the query mentions them
+const PENALTY_KEYWORDS = [
+  'cover',
+  'karaoke',
+  'instrumental',
+  'remix',
+  'live',
+  'sped up',
+  'slowed',
+  'reverb',
+  'nightcore',
+  '8d',
+];
+
+// Title decorations that say nothing about which recording it is
+const NOISE_WORDS = ['official', 'video', 'audio', 'music', 'lyrics', 'lyric', 'mv', 'hd', 'hq', 'feat', 'ft'];
+
+const TITLE_WEIGHT = 0.6;
+const ARTIST_WEIGHT = 0.4;
+const KEYWORD_PENALTY = 0.35;
+const DURATION_PENALTY = 0.3;
+const POSITION_PENALTY = 0.01;
+
+// Minimum score of another upload against "artist - title" of the original to count as the same recording
+const SAME_RECORDING_SCORE = 0.75;
+// Allowed duration difference of another upload, in seconds and as a share of the original duration
+const DURATION_TOLERANCE = 10;
+const DURATION_TOLERANCE_RATIO = 0.05;
+
+/**
+ * Lowercase a text, strip accents and punctuation
+ * @param {string} text Text to normalize
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Split a text into meaningful tokens
+ * @param {string} text Text to split
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return normalizeText(text)
+    .split(' ')
+    .filter((token) => token && !NOISE_WORDS.includes(token));
+}
+
+/**
+ * Dice coefficient of two token lists
+ * @param {string[]} a First tokens
+ * @param {string[]} b Second tokens
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const remaining = [...b];
+  let shared = 0;
+  for (const token of a) {
+    const index = remaining.indexOf(token);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (a.length + b.length);
+}
+
+/**
+ * Share of the tokens of `a` that appear in `b`
+ * @param {string[]} a Tokens to look for
+ * @param {string[]} b Tokens to look in
+ * @returns {number} Coverage between 0 and 1
+ */
+function coverage(a, b) {
+  if (a.length === 0) return 0;
+  return a.filter((token) => b.includes(token)).length / a.length;
+}
+
+/**
+ * Get the penalty keywords a text contains
+ * @param {string} text Text to check
+ * @returns {string[]}
+ */
+function findKeywords(text) {
+  const normalized = ` ${normalizeText(text)} `;
+  return PENALTY_KEYWORDS.filter((keyword) => normalized.includes(` ${keyword} `));
+}
+
+/**
+ * Get the credited artist names of a song
+ * @param {Song} song Song
+ * @returns {string}
+ */
+function artistNames(song) {
+  return song.musicMetadata && song.musicMetadata.artists.length > 0
+    ? song.musicMetadata.artists.map((artist) => artist.name).join(' ')
+    : (song.uploader && song.uploader.name) || '';
+}
+
+/**
+ * Score how well a song matches a search query
+ * @param {Song} song Song to score
+ * @param {string} query Search query
+ * @param {Object} [options] Ranking options
+ * @param {number} [options.duration] Preferred duration in seconds, songs further from it score lower
+ * @returns {number} Score, higher is better
+ */
+function scoreSong(song, query, options = {}) {
+  const titleTokens = tokenize(song.name);
+  const artistTokens = tokenize(artistNames(song));
+
+  let matchScore;
+  const parts = String(query).split(/\s+[-–—]\s+/);
+  if (parts.length === 2) {
+    // "artist - title", also tried the other way around
+    const [left, right] = parts.map(tokenize);
+    matchScore = Math.max(
+      TITLE_WEIGHT * similarity(right, titleTokens) + ARTIST_WEIGHT * coverage(left, artistTokens),
+      TITLE_WEIGHT * similarity(left, titleTokens) + ARTIST_WEIGHT * coverage(right, artistTokens)
+    );
+  } else {
+    // Free text, the artist may or may not be part of it
+    const queryTokens = tokenize(query);
+    const titlePart = queryTokens.filter((token) => !artistTokens.includes(token));
+    matchScore =
+      TITLE_WEIGHT * similarity(titlePart.length > 0 ? titlePart : queryTokens, titleTokens) +
+      ARTIST_WEIGHT * coverage(queryTokens, [...titleTokens, ...artistTokens]);
+  }
+
+  const requested = findKeywords(query);
+  const unwanted = findKeywords(song.name).filter((keyword) => !requested.includes(keyword));
+  let score = matchScore - unwanted.length * KEYWORD_PENALTY;
+
+  if (options.duration > 0 && song.duration > 0) {
+    const offset = Math.abs(song.duration - options.duration) / options.duration;
+    score -= Math.min(offset, 1) * DURATION_PENALTY;
+  }
+
+  return score;
+}
+
+/**
+ * Sort songs by how well they match a search query
+ * Ties keep the order YouTube Music returned them in
+ * @param {Song[]} songs Songs in search result order
+ * @param {string} query Search query
+ * @param {Object} [options] Ranking options, see {@link scoreSong}
+ * @returns {Song[]} New array, best match first
+ */
+function rankSongs(songs, query, options = {}) {
+  return songs
+    .map((song, index) => ({ song, score: scoreSong(song, query, options) - index * POSITION_PENALTY }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ song }) => song);
+}
+
+/**
+ * Check whether a song is another upload of the same recording as the original
+ * Title and artists must match, other versions (covers, live, remixes...) do not count and
+ * the duration must be close when both are known
+ * @param {Song} candidate Possible other upload
+ * @param {Song} original Original song
+ * @returns {boolean}
+ */
+function isSameRecording(candidate, original) {
+  if (candidate.id === original.id) return false;
+
+  const query = `${artistNames(original)} - ${original.name}`;
+  if (scoreSong(candidate, query) < SAME_RECORDING_SCORE) return false;
+
+  if (candidate.duration > 0 && original.duration > 0) {
+    const tolerance = Math.max(DURATION_TOLERANCE, original.duration * DURATION_TOLERANCE_RATIO);
+    return Math.abs(candidate.duration - original.duration) <= tolerance;
+  }
+  return true;
+}
+
+module.exports = { scoreSong, rankSongs, isSameRecording, PENALTY_KEYWORDS };
@@ -0,0 +1,99 @@
+/**
+ * Resumable download streams
+ * Long downloads die when their signed URL expires or the connection is reset; these streams
+ * reopen the download from the byte offset already received so the reader never notices
+ */
+
+import { PassThrough } from 'stream';
+
+/**
+ * Create a stream that resumes its download when it fails or ends early
+ * @param {Object} options Stream options
+ * @param {Function} options.open Function returning a Readable for a byte range `{ start, end }`, or the
+ * whole stream when called with undefined
+ * @param {Function} [options.refresh] Async function called before resuming, e.g. to get a fresh URL
+ * @param {Object} [options.range] Byte range to download, `{ start, end }` with an inclusive end
+ * @param {number} [options.contentLength] Size of the whole stream in bytes, needed to detect early ends
+ * @param {number} [options.maxResumes=3] Resumes in a row without receiving any data before giving up
+ * @returns {PassThrough}
+ */
+function createResumableStream(options) {
+  const { open, refresh = async () => {}, range, contentLength = 0, maxResumes = 3 } = options;
+  const start = (range && range.start) || 0;
+  let end = null;
+  if (range && range.end != null) end = range.end;
+  else if (contentLength > 0) end = contentLength - 1;
+  const expected = end === null ? null : end - start + 1;
+
+  const output = new PassThrough();
+  let current = null;
+  let received = 0;
+  let failures = 0;
+
+  const resume = async (source, error) => {
+    source.unpipe(output);
+    source.destroy();
+    if (output.destroyed) return;
+
+    if (failures >= maxResumes) {
+      output.destroy(error);
+      return;
+    }
+    failures++;
+    console.log(
+      `Stream interrupted after ${received} bytes (${error.message}), resuming (${failures}/${maxResumes})`
+    );
+
+    try {
+      await refresh(error);
+    } catch (e) {
+      output.destroy(e);
+      return;
+    }
+    if (!output.destroyed) connect();
+  };
+
+  const connect = () => {
+    const offset = start + received;
+    const nextRange =
+      range || received > 0 ? { start: offset, ...(end !== null && { end }) } : undefined;
+
+    let source;
+    try {
+      source = open(nextRange);
+    } catch (e) {
+      output.destroy(e);
+      return;
+    }
+    current = source;
+
+    let settled = false;
+    const settle = (error) => {
+      if (settled) return;
+      settled = true;
+      if (error) resume(source, error);
+      else output.end();
+    };
+
+    source.on('data', (chunk) => {
+      received += chunk.length;
+      failures = 0;
+    });
+    source.on('error', (e) => settle(e));
+    source.on('end', () => {
+      if (expected !== null && received < expected) {
+        settle(new Error(`Stream ended early at ${received} of ${expected} bytes`));
+      } else {
+        settle();
+      }
+    });
+    source.pipe(output, { end: false });
+  };
+
+  // The reader stopping (skip, seek, stop) stops the download
+  output.on('close', () => current && current.destroy());
+  connect();
+  return output;
+}
+
+export { createResumableStream };
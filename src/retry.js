@@ -0,0 +1,108 @@
+/**
+ * Retry policy of stream extraction
+ * Transient failures are retried with exponential backoff and jitter, other failures move on
+ * to the next ytdl-core player client
+ */
+
+const RETRY_KEYS = ['retries', 'minDelay', 'maxDelay', 'playerClients'];
+
+// Player clients ytdl-core's `playerClients` option accepts, other names find no formats
+const PLAYER_CLIENTS = ['WEB_EMBEDDED', 'TV', 'IOS', 'ANDROID', 'WEB'];
+
+const DEFAULT_RETRY = {
+  retries: 2,
+  minDelay: 500,
+  maxDelay: 8000,
+  // No client: one request with ytdl-core's default clients, whose formats it merges
+  playerClients: [],
+};
+
+// Rate limits, signature/PoToken rejections, server errors and dropped connections
+const TRANSIENT_PATTERN =
+  /status code: (?:403|429|5\d\d)|too many requests|ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|socket hang up|other side closed|timeout/i;
+
+/**
+ * Check whether an extraction error is worth retrying with the same client
+ * @param {Error} error Extraction error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (!error) return false;
+  const status = error.statusCode || error.status;
+  if (status === 403 || status === 429 || status >= 500) return true;
+  return TRANSIENT_PATTERN.test(`${error.code || ''} ${error.message || ''}`);
+}
+
+/**
+ * Get the delay before a retry
+ * The delay doubles with each attempt up to `maxDelay`, then a random part of its second half is
+ * dropped so that bots hitting the same limit do not retry in lockstep
+ * @param {number} attempt Number of the failed attempt, starting at 0
+ * @param {Object} [options] Retry options, see {@link DEFAULT_RETRY}
+ * @param {Function} [random] Random number generator returning values in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, options = {}, random = Math.random) {
+  const { minDelay, maxDelay } = { ...DEFAULT_RETRY, ...options };
+  const delay = Math.min(maxDelay, minDelay * 2 ** attempt);
+  return Math.round(delay / 2 + (random() * delay) / 2);
+}
+
+/**
+ * Get the player clients of a list that ytdl-core does not support
+ * @param {string[]} [clients] Player client names
+ * @returns {string[]}
+ */
+function getUnsupportedClients(clients = []) {
+  return clients.filter((client) => !PLAYER_CLIENTS.includes(client));
+}
+
+/**
+ * Run a task with each player client in turn until one succeeds
+ * @param {Function} task Async function called with the player client name, or null for ytdl-core's default
+ * @param {Object} [options] Retry options, see {@link DEFAULT_RETRY}
+ * @param {Function} [shouldStop] Returns true for errors no other attempt can fix, which are thrown as is
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} Error listing the outcome of every attempt, with the attempts as `error.attempts`
+ */
+async function withRetry(task, options = {}, shouldStop = () => false) {
+  const config = { ...DEFAULT_RETRY, ...options };
+  const clients =
+    config.playerClients && config.playerClients.length > 0 ? config.playerClients : [null];
+  const attempts = [];
+
+  for (const client of clients) {
+    for (let attempt = 0; attempt <= config.retries; attempt++) {
+      try {
+        return await task(client);
+      } catch (error) {
+        if (shouldStop(error)) throw error;
+        attempts.push({ client, attempt: attempt + 1, error });
+
+        if (!isTransientError(error) || attempt === config.retries) break;
+        const delay = getBackoffDelay(attempt, config);
+        console.log(
+          `${client || 'default'} client failed (${error.message}), retrying in ${delay}ms`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  const summary = attempts
+    .map(({ client, attempt, error }) => `${client || 'default'} #${attempt}: ${error.message}`)
+    .join('; ');
+  const error = new Error(`All ${attempts.length} extraction attempts failed (${summary})`);
+  error.attempts = attempts;
+  throw error;
+}
+
+module.exports = {
+  withRetry,
+  isTransientError,
+  getBackoffDelay,
+  getUnsupportedClients,
+  DEFAULT_RETRY,
+  PLAYER_CLIENTS,
+  RETRY_KEYS,
+};
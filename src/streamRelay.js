@@ -0,0 +1,156 @@
+/**
+ * Loopback stream relay
+ * Serves Node streams to FFmpeg over a local HTTP server, so DisTube, which only plays URLs,
+ * can play streams downloaded by the plugin through its own agent and proxies
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const TTLCache = require('./ttlCache');
+
+/**
+ * Parse the first range of an HTTP Range header
+ * @param {string} header Range header value, e.g. `bytes=1000-`
+ * @returns {{start: number, end?: number}|null} Byte range, null if there is none or it is not a byte range
+ */
+function parseRange(header) {
+  const match = /^bytes=(\d+)-(\d*)/.exec(header || '');
+  if (!match) return null;
+  const range = { start: Number(match[1]) };
+  if (match[2]) range.end = Number(match[2]);
+  return range;
+}
+
+/**
+ * Local HTTP server relaying registered streams
+ * @class StreamRelay
+ */
+class StreamRelay {
+  /**
+   * @param {Object} [options] Relay options
+   * @param {string} [options.host='127.0.0.1'] Address the server listens on
+   * @param {number} [options.ttl=21600000] Default lifetime of a relay URL in milliseconds
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.streams = new TTLCache({ ttl: options.ttl || 6 * 60 * 60 * 1000, maxSize: 1000 });
+    this.server = null;
+    this.listening = null;
+  }
+
+  /**
+   * Start the server if it is not running yet
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (this.listening) return this.listening;
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    // The relay must not keep the bot process alive
+    this.server.unref();
+    this.listening = new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    }).catch((e) => {
+      this.server = null;
+      this.listening = null;
+      throw e;
+    });
+    return this.listening;
+  }
+
+  /**
+   * Register a stream and get the URL FFmpeg can play it from
+   * The URL can be requested several times, e.g. when FFmpeg reconnects, each request opens a new stream
+   * @param {Function} open Function returning a Readable, called with the requested byte range or null
+   * @param {Object} [info] Stream information sent in the response headers
+   * @param {number} [info.contentLength] Size of the whole stream in bytes, enables range responses
+   * @param {string} [info.mimeType] MIME type of the stream
+   * @param {number} [ttl] Lifetime of the URL in milliseconds
+   * @returns {Promise<string>} Relay URL
+   */
+  async register(open, info = {}, ttl) {
+    await this.start();
+    const token = crypto.randomBytes(16).toString('hex');
+    this.streams.set(token, { open, info }, ttl);
+    const { port } = this.server.address();
+    return `http://${this.host}:${port}/${token}`;
+  }
+
+  /**
+   * Serve a relay request
+   * @param {http.IncomingMessage} req Request
+   * @param {http.ServerResponse} res Response
+   * @returns {void}
+   * @private
+   */
+  handle(req, res) {
+    const entry = this.streams.get(req.url.slice(1));
+    if (!entry || (req.method !== 'GET' && req.method !== 'HEAD')) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const { contentLength, mimeType } = entry.info;
+    const range = contentLength ? parseRange(req.headers.range) : null;
+    if (range && range.start >= contentLength) {
+      res.writeHead(416, { 'Content-Range': `bytes */${contentLength}` }).end();
+      return;
+    }
+
+    const headers = { 'Content-Type': mimeType || 'application/octet-stream' };
+    if (contentLength) {
+      headers['Accept-Ranges'] = 'bytes';
+      const end = range
+        ? Math.min(range.end ?? contentLength - 1, contentLength - 1)
+        : contentLength - 1;
+      const start = range ? range.start : 0;
+      headers['Content-Length'] = end - start + 1;
+      if (range) {
+        range.end = end;
+        headers['Content-Range'] = `bytes ${start}-${end}/${contentLength}`;
+      }
+    }
+    res.writeHead(range ? 206 : 200, headers);
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+
+    let stream;
+    try {
+      stream = entry.open(range);
+    } catch (e) {
+      console.error('Error opening relayed stream:', e.message);
+      res.destroy(e);
+      return;
+    }
+    stream.on('error', (e) => {
+      console.error('Error in relayed stream:', e.message);
+      res.destroy(e);
+    });
+    // FFmpeg closing the connection (seek, skip, stop) stops the download
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+  }
+
+  /**
+   * Stop the server, its connections and forget every stream
+   * @returns {void}
+   */
+  close() {
+    this.streams.clear();
+    if (this.server) {
+      this.server.close();
+      // Also ends the streams FFmpeg is still playing
+      if (this.server.closeAllConnections) this.server.closeAllConnections();
+    }
+    this.server = null;
+    this.listening = null;
+  }
+}
+
+module.exports = StreamRelay;
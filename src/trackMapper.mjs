@@ -0,0 +1,273 @@
+/**
+ * Track mapper
+ * Normalizes every raw track shape the plugin deals with into the fields a Song is built from:
+ * - ytmusic-api results (SongDetailed, VideoDetailed, album songs, up-nexts)
+ * - tracks parsed from InnerTube responses (playlist pages, radios)
+ * - ytdl-core `getInfo` results
+ */
+
+import { parseDuration } from './innertube.mjs';
+
+// Auto-generated music uploads state their release date in the description, e.g. "Released on: 2002-10-28"
+const RELEASE_DATE_PATTERN = /^Released on: (\d{4})-\d{2}-\d{2}$/m;
+
+/**
+ * Get the URL of the largest thumbnail
+ * @param {Object} track Raw track
+ * @returns {string|null}
+ */
+function pickThumbnail(track) {
+  if (Array.isArray(track.thumbnails) && track.thumbnails.length > 0) {
+    return track.thumbnails[track.thumbnails.length - 1].url;
+  }
+  return typeof track.thumbnail === 'string' ? track.thumbnail : null;
+}
+
+/**
+ * Convert a duration given in seconds or as text to seconds
+ * @param {number|string} duration Raw duration
+ * @returns {number}
+ */
+function toSeconds(duration) {
+  if (typeof duration === 'number') return duration;
+  return parseDuration(duration) || 0;
+}
+
+/**
+ * Build the YouTube Music metadata attached to every Song as `song.musicMetadata`
+ * @param {Object} track Raw track
+ * @param {Object} [context] Data known from the list the track is in
+ * @param {Object} [context.album] Album the track belongs to
+ * @param {number} [context.year] Release year of the album
+ * @param {number} [context.trackNumber] Position of the track on the album
+ * @returns {Object} MusicMetadata
+ */
+function buildMusicMetadata(track, context = {}) {
+  // Playlist endpoints return `artists`, album and artist endpoints a single `artist`, up-nexts a plain string
+  let rawArtists = [];
+  if (Array.isArray(track.artists)) rawArtists = track.artists;
+  else if (typeof track.artists === 'string') rawArtists = [{ name: track.artists }];
+  else if (track.artist) rawArtists = [track.artist];
+
+  const artists = rawArtists
+    .filter((artist) => artist && artist.name)
+    .map((artist) => {
+      const id = artist.artistId || artist.id || null;
+      return {
+        name: artist.name.replace(/ - Topic$/, ''),
+        id,
+        url: id ? `https://music.youtube.com/channel/${id}` : null,
+      };
+    });
+
+  const rawAlbum = context.album || track.album;
+  const albumId = rawAlbum ? rawAlbum.albumId || rawAlbum.id || null : null;
+
+  return {
+    album:
+      rawAlbum && rawAlbum.name
+        ? {
+          name: rawAlbum.name,
+          id: albumId,
+          url: albumId ? `https://music.youtube.com/browse/${albumId}` : null,
+        }
+        : null,
+    artists,
+    year: context.year || track.year || null,
+    explicit: typeof track.isExplicit === 'boolean' ? track.isExplicit : null,
+    trackNumber: context.trackNumber || null,
+  };
+}
+
+/**
+ * Live states of a video
+ * @enum {string}
+ */
+const LiveStatus = {
+  /** Not a live stream or premiere */
+  NONE: 'none',
+  /** Live stream or premiere airing now */
+  LIVE: 'live',
+  /** Live stream or premiere that has ended, played like any video */
+  ENDED: 'ended',
+  /** Scheduled live stream or premiere that has not started */
+  UPCOMING: 'upcoming',
+};
+
+/**
+ * Get the live state of a video
+ * @param {Object} info ytdl-core video info
+ * @returns {{status: string, startsAt: number|null}} Status from {@link LiveStatus}, and the scheduled
+ * start in milliseconds if known
+ */
+function getLiveStatus(info) {
+  const details = info.videoDetails || {};
+  const broadcast = details.liveBroadcastDetails || {};
+  const playability = (info.player_response && info.player_response.playabilityStatus) || {};
+  const startsAt = broadcast.startTimestamp ? Date.parse(broadcast.startTimestamp) || null : null;
+
+  let status = LiveStatus.NONE;
+  if (details.isUpcoming || playability.status === 'LIVE_STREAM_OFFLINE') status = LiveStatus.UPCOMING;
+  else if (details.isLive || broadcast.isLiveNow) status = LiveStatus.LIVE;
+  else if (details.isLiveContent) status = LiveStatus.ENDED;
+
+  return { status, startsAt };
+}
+
+/**
+ * Get the release year of a video from its music metadata
+ * The upload year is only a fallback, re-uploads and remasters are uploaded years after the release
+ * @param {Object} details ytdl-core video details
+ * @returns {number|null}
+ */
+function getReleaseYear(details) {
+  const mediaYear = details.media && parseInt(details.media.year, 10);
+  if (mediaYear) return mediaYear;
+
+  const released = RELEASE_DATE_PATTERN.exec(details.description || '');
+  if (released) return parseInt(released[1], 10);
+
+  return parseInt(details.publishDate, 10) || null;
+}
+
+/**
+ * Convert a ytdl-core `getInfo` result into the raw track shape
+ * @param {Object} info ytdl-core video info
+ * @returns {Object}
+ */
+function fromVideoInfo(info) {
+  const details = info.videoDetails;
+  return {
+    videoId: details.videoId,
+    name: details.title,
+    duration: parseInt(details.lengthSeconds) || 0,
+    thumbnails: details.thumbnails,
+    liveStatus: getLiveStatus(info).status,
+    views: parseInt(details.viewCount || 0),
+    artists: details.author ? [{ name: details.author.name, artistId: details.author.id }] : [],
+    album: details.media && details.media.album ? { name: details.media.album } : null,
+    year: getReleaseYear(details),
+    channelUrl: details.author ? details.author.channel_url : null,
+  };
+}
+
+/**
+ * Normalize a raw track into Song info
+ * @param {Object} track Raw track (ytmusic-api result, parsed InnerTube item or ytdl-core info)
+ * @param {Object} [context] Album context, see {@link buildMusicMetadata}
+ * @returns {Object|null} Song info, or null if the track has no video ID
+ */
+function normalizeTrack(track, context = {}) {
+  if (!track) return null;
+  if (track.videoDetails) track = fromVideoInfo(track);
+  if (!track.videoId) return null;
+
+  const musicMetadata = buildMusicMetadata(track, context);
+  const [mainArtist] = musicMetadata.artists;
+
+  return {
+    id: track.videoId,
+    name: track.name || track.title || 'Unknown Title',
+    url: `https://music.youtube.com/watch?v=${track.videoId}`,
+    thumbnail: pickThumbnail(track),
+    duration: toSeconds(track.duration),
+    isLive: track.liveStatus ? track.liveStatus === LiveStatus.LIVE : track.isLive || false,
+    liveStatus: track.liveStatus || (track.isLive ? LiveStatus.LIVE : LiveStatus.NONE),
+    views: typeof track.views === 'number' ? track.views : undefined,
+    uploader: {
+      name: musicMetadata.artists.length > 0
+        ? musicMetadata.artists.map((artist) => artist.name).join(', ')
+        : 'Unknown Artist',
+      url: track.channelUrl || (mainArtist ? mainArtist.url : null),
+    },
+    musicMetadata,
+  };
+}
+
+/**
+ * Copy the explicit badges of tracks parsed from an InnerTube response onto raw tracks of the same
+ * list that do not report them, such as ytmusic-api results
+ * @param {Array} tracks Raw tracks
+ * @param {Array} parsed Tracks parsed from InnerTube, see {@link parseListItem}
+ * @returns {Array} Tracks, with `isExplicit` set on those found in `parsed`
+ */
+function applyExplicitFlags(tracks, parsed) {
+  const flags = new Map(parsed.map((track) => [track.videoId, track.isExplicit]));
+  return tracks.map((track) =>
+    track && typeof track.isExplicit !== 'boolean' && flags.has(track.videoId)
+      ? { ...track, isExplicit: flags.get(track.videoId) }
+      : track
+  );
+}
+
+/**
+ * Build the artist link of an album or playlist search result
+ * @param {Object} artist Raw artist ({ name, artistId })
+ * @returns {Object|null} MusicArtist
+ */
+function toArtistLink(artist) {
+  if (!artist || !artist.name) return null;
+  const id = artist.artistId || null;
+  return { name: artist.name, id, url: id ? `https://music.youtube.com/channel/${id}` : null };
+}
+
+/**
+ * Convert an album, playlist or artist search result into a plain result object
+ * The `url` can be passed to the plugin's `resolve` (or `distube.play`) to load the entity
+ * @param {Object} item ytmusic-api AlbumDetailed, PlaylistDetailed or ArtistDetailed result
+ * @param {string} [type] Entity type, defaults to the `type` of the item
+ * @returns {Object|null} Search result, or null if the item is not an album, playlist or artist
+ */
+function toEntityResult(item, type = item && item.type) {
+  if (!item || !type) return null;
+
+  const thumbnail = pickThumbnail(item);
+  switch (type.toLowerCase()) {
+  case 'album':
+    if (!item.albumId) return null;
+    return {
+      type: 'album',
+      id: item.albumId,
+      name: item.name,
+      url: `https://music.youtube.com/browse/${item.albumId}`,
+      thumbnail,
+      artist: toArtistLink(item.artist),
+      year: item.year || null,
+    };
+
+  case 'playlist': {
+    if (!item.playlistId) return null;
+    const id = item.playlistId.replace(/^VL/, '');
+    return {
+      type: 'playlist',
+      id,
+      name: item.name,
+      url: `https://music.youtube.com/playlist?list=${id}`,
+      thumbnail,
+      artist: toArtistLink(item.artist),
+    };
+  }
+
+  case 'artist':
+    if (!item.artistId) return null;
+    return {
+      type: 'artist',
+      id: item.artistId,
+      name: item.name,
+      url: `https://music.youtube.com/channel/${item.artistId}`,
+      thumbnail,
+    };
+
+  default:
+    return null;
+  }
+}
+
+export {
+  normalizeTrack,
+  buildMusicMetadata,
+  applyExplicitFlags,
+  toEntityResult,
+  getLiveStatus,
+  LiveStatus,
+};
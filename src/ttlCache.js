@@ -0,0 +1,118 @@
+/**
+ * Small in-memory cache whose entries expire after a time-to-live
+ * Concurrent loads of the same key share one pending promise
+ * @class TTLCache
+ */
+class TTLCache {
+  /**
+   * @param {Object} [options] Cache options
+   * @param {number} [options.ttl=60000] Default time-to-live of an entry in milliseconds
+   * @param {number} [options.maxSize=500] Maximum number of entries, the oldest entry is evicted first
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 60000;
+    this.maxSize = options.maxSize || 500;
+    this.entries = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key Cache key
+   * @returns {*} The value, or undefined if it is missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Get how long a cached value stays fresh
+   * @param {string} key Cache key
+   * @returns {number} Remaining time-to-live in milliseconds, 0 if the value is missing or expired
+   */
+  timeLeft(key) {
+    const entry = this.entries.get(key);
+    return entry ? Math.max(entry.expiresAt - Date.now(), 0) : 0;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key Cache key
+   * @param {*} value Value to store
+   * @param {number} [ttl] Time-to-live of this entry in milliseconds, defaults to the cache TTL
+   * @returns {void}
+   */
+  set(key, value, ttl = this.ttl) {
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key Cache key
+   * @returns {void}
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every value
+   * @returns {void}
+   */
+  clear() {
+    this.entries.clear();
+    this.pending.clear();
+  }
+
+  /**
+   * Get a cached value, loading and storing it when it is missing
+   * Failed loads are not cached
+   * @param {string} key Cache key
+   * @param {Function} loader Async function returning the value
+   * @param {number|Function} [ttl] Time-to-live of the loaded entry in milliseconds,
+   * or a function returning it from the loaded value
+   * @returns {Promise<*>}
+   */
+  async wrap(key, loader, ttl) {
+    const cached = this.get(key);
+    if (cached !== undefined) return cached;
+    return this.refresh(key, loader, ttl);
+  }
+
+  /**
+   * Load and store a value, even if a fresh one is cached
+   * The cached value is kept until the load succeeds, a load already running is shared
+   * @param {string} key Cache key
+   * @param {Function} loader Async function returning the value
+   * @param {number|Function} [ttl] Time-to-live of the loaded entry, see {@link TTLCache#wrap}
+   * @returns {Promise<*>}
+   */
+  refresh(key, loader, ttl) {
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        this.set(key, value, typeof ttl === 'function' ? ttl(value) : ttl);
+        return value;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+    this.pending.set(key, promise);
+    return promise;
+  }
+}
+
+module.exports = TTLCache;
@@ -0,0 +1,205 @@
+/**
+ * URL parser for YouTube Music links
+ * Maps every URL shape the YouTube Music app and website produce to the
+ * entity type and ID the plugin resolves it with
+ */
+
+const YOUTUBE_HOSTS = [
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtu.be',
+  'www.youtube-nocookie.com',
+];
+
+// Path prefixes that carry a video ID as their second segment (e.g. /shorts/<id>)
+const VIDEO_PATHS = ['shorts', 'embed', 'live', 'v', 'e'];
+
+// Share and analytics parameters that do not change what a URL points to
+const TRACKING_PARAMS = ['si', 'feature', 'pp', 'app', 'ab_channel', 'gclid', 'fbclid', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+/**
+ * Classify a YouTube Music browse ID
+ * - `MPREb_...` albums, singles and EPs
+ * - `VL...` playlists (the `VL` prefix is stripped)
+ * - `UC...` artist channels
+ * - `MPLAUC...` artist pages opened from the library
+ * @param {string} browseId Browse ID
+ * @returns {{type: string, id: string}|null}
+ */
+function classifyBrowseId(browseId) {
+  if (!browseId) return null;
+
+  if (browseId.startsWith('MPREb_')) {
+    return { type: 'album', id: browseId };
+  }
+  if (browseId.startsWith('VL') && browseId.length > 2) {
+    return { type: 'playlist', id: browseId.slice(2) };
+  }
+  if (browseId.startsWith('MPLAUC')) {
+    return { type: 'artist', id: browseId.slice(4) };
+  }
+  if (browseId.startsWith('UC')) {
+    return { type: 'artist', id: browseId };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a playlist ID is a radio (mix) rather than a real playlist
+ * Curated `RDCLAK5uy_` lists are browseable playlists despite their prefix
+ * @param {string} playlistId Playlist ID
+ * @returns {boolean}
+ */
+function isRadioId(playlistId) {
+  return /^RD/.test(playlistId) && !playlistId.startsWith('RDCLAK');
+}
+
+/**
+ * Get the seed video ID encoded in a radio ID (`RDAMVM<id>` or `RD<id>`)
+ * @param {string} radioId Radio playlist ID
+ * @returns {string|null}
+ */
+function radioSeedVideoId(radioId) {
+  const match = radioId.match(/^RD(?:AMVM)?([\w-]{11})$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Convert a playlist ID to the browse ID the YouTube Music API expects
+ * (`VL` followed by the playlist ID, including album playlists `OLAK5uy_...`)
+ * @param {string} playlistId Playlist ID
+ * @returns {string}
+ */
+function toPlaylistBrowseId(playlistId) {
+  return playlistId.startsWith('VL') ? playlistId : `VL${playlistId}`;
+}
+
+/**
+ * Parse a start timestamp (`90`, `90s`, `1m30s`, `1h2m3s`)
+ * @param {string} value Timestamp from the `t`/`start` parameter
+ * @returns {number|null} Seconds, or null if the value is not a timestamp
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || !match[0]) return null;
+
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Remove share and analytics parameters from a URL
+ * @param {string} url URL to clean
+ * @returns {string} Cleaned URL, or the input if it is not a valid URL
+ */
+function stripTrackingParams(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url;
+  }
+
+  for (const param of TRACKING_PARAMS) parsed.searchParams.delete(param);
+  return parsed.toString();
+}
+
+/**
+ * Parse a YouTube Music or YouTube URL
+ * Handles music.youtube.com, www/m.youtube.com, youtu.be short links and /shorts/, /embed/ and /live/ paths
+ * @param {string} url URL to parse
+ * @returns {{type: string, id: string, videoId?: string, index?: number, startTime?: number}|null}
+ * Entity type and ID, or null if the URL is not recognised. Radios also carry the `videoId` they are
+ * seeded with, playlists opened from a watch URL the linked `videoId` and its one-based `index`.
+ * Videos and playlists opened from a watch URL carry the `startTime` in seconds from `t=`/`start=`
+ */
+function parseURL(url) {
+  if (typeof url !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (e) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  if (!YOUTUBE_HOSTS.includes(host)) return null;
+
+  const isMusic = host === 'music.youtube.com';
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const list = parsed.searchParams.get('list');
+  let videoId = parsed.searchParams.get('v');
+
+  // Short links and video paths are treated like watch URLs
+  if (host === 'youtu.be' && segments[0]) {
+    videoId = segments[0];
+    segments.splice(0, 1, 'watch');
+  } else if (VIDEO_PATHS.includes(segments[0]) && VIDEO_ID_PATTERN.test(segments[1] || '')) {
+    videoId = segments[1];
+    segments.splice(0, 2, 'watch');
+  }
+
+  if (videoId && !VIDEO_ID_PATTERN.test(videoId)) return null;
+
+  if (list && isRadioId(list) && ['playlist', 'watch'].includes(segments[0])) {
+    return { type: 'radio', id: list, videoId: videoId || radioSeedVideoId(list) };
+  }
+
+  const hashParams = new URLSearchParams(parsed.hash.slice(1));
+  const startTime = parseTimestamp(
+    parsed.searchParams.get('t') || parsed.searchParams.get('start') || hashParams.get('t')
+  );
+  const withStartTime = (result) => (startTime ? { ...result, startTime } : result);
+
+  switch (segments[0]) {
+  case 'playlist':
+    return list ? { type: 'playlist', id: list } : null;
+
+  case 'watch':
+    if (list) {
+      const index = parseInt(parsed.searchParams.get('index'), 10);
+      return withStartTime({
+        type: 'playlist',
+        id: list,
+        ...(videoId && { videoId }),
+        ...(index > 0 && { index }),
+      });
+    }
+    return videoId ? withStartTime({ type: 'video', id: videoId }) : null;
+
+  case 'browse':
+    return isMusic ? classifyBrowseId(segments[1]) : null;
+
+  case 'channel':
+    return isMusic && segments[1] ? { type: 'artist', id: segments[1] } : null;
+
+    // Legacy path-style links
+  case 'album':
+    return segments[1] ? { type: 'album', id: segments[1] } : null;
+
+  case 'artist':
+    return segments[1] ? { type: 'artist', id: segments[1] } : null;
+
+  default:
+    return null;
+  }
+}
+
+export {
+  parseURL,
+  parseTimestamp,
+  stripTrackingParams,
+  classifyBrowseId,
+  isRadioId,
+  radioSeedVideoId,
+  toPlaylistBrowseId,
+};
@@ -0,0 +1,50 @@
+// Shared helpers of the offline test scripts
+
+/**
+ * Start a test script: print its banner and get the assertion helpers
+ * @param {string} title Title of the script, e.g. `Content Filter`
+ * @param {string} subject Name of the tests in the summary, e.g. `filter`
+ * @returns {{check: Function, finish: Function}}
+ */
+function createTestRun(title, subject) {
+  let failed = 0;
+
+  console.log('='.repeat(60));
+  console.log(`YouTube Music Plugin - ${title} Test`);
+  console.log('='.repeat(60));
+
+  /**
+   * Compare a value with the expected one by their JSON form and report the result
+   * @param {string} label What is checked
+   * @param {*} actual Actual value
+   * @param {*} expected Expected value
+   * @returns {void}
+   */
+  function check(label, actual, expected) {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (!ok) failed++;
+    console.log(`${ok ? '✅' : '❌'} ${label}`);
+    if (!ok) {
+      console.log(`   - Expected: ${JSON.stringify(expected)}`);
+      console.log(`   - Actual:   ${JSON.stringify(actual)}`);
+    }
+  }
+
+  /**
+   * Print the summary and set the exit code of the script
+   * @returns {void}
+   */
+  function finish() {
+    console.log('\n' + '='.repeat(60));
+    console.log(
+      failed === 0 ? `✅ All ${subject} tests passed` : `❌ ${failed} ${subject} test(s) failed`
+    );
+    console.log('='.repeat(60));
+
+    process.exitCode = failed === 0 ? 0 : 1;
+  }
+
+  return { check, finish };
+}
+
+module.exports = { createTestRun };
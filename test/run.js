@@ -0,0 +1,28 @@
+// Runs every offline test script (test/test-*.js), each in its own process
+// Run with: node test/run.js
+// The live test against YouTube Music (test/test.js) is run separately by `npm test`
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const scripts = fs
+  .readdirSync(__dirname)
+  .filter((file) => /^test-.+\.js$/.test(file))
+  .sort();
+
+const failures = [];
+for (const script of scripts) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, script)], { stdio: 'inherit' });
+  if (result.status !== 0) failures.push(script);
+}
+
+console.log('\n' + '='.repeat(60));
+console.log(
+  failures.length === 0
+    ? `✅ All ${scripts.length} offline test scripts passed`
+    : `❌ ${failures.length} of ${scripts.length} test scripts failed: ${failures.join(', ')}`
+);
+console.log('='.repeat(60));
+
+process.exitCode = failures.length === 0 ? 0 : 1;
@@ -0,0 +1,65 @@
+// Chapters test script
+// Run with: node test/test-chapters.js
+
+const { getChapters, parseChapters, findChapter } = require('../src/chapters.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('Chapters', 'chapter');
+
+const description = [
+  'Full album stream',
+  '',
+  'Tracklist:',
+  '00:00 Intro',
+  '[3:45] - Kota Ini Tak Sama Tanpamu',
+  'Mimpi Yang Sempurna (12:05)',
+  '1:02:03 Café Outro',
+  '',
+  'Follow us on Instagram',
+].join('\n');
+
+console.log('\n[Test 1] Description...');
+const chapters = parseChapters(description, 4000);
+check(
+  'Titles and starts',
+  chapters.map((chapter) => [chapter.title, chapter.start]),
+  [
+    ['Intro', 0],
+    ['Kota Ini Tak Sama Tanpamu', 225],
+    ['Mimpi Yang Sempurna', 725],
+    ['Café Outro', 3723],
+  ]
+);
+check(
+  'Ends',
+  chapters.map((chapter) => chapter.end),
+  [225, 725, 3723, 4000]
+);
+check('Needs a 0:00 chapter', parseChapters('1:00 A\n2:00 B\n3:00 C'), []);
+check('Needs 3 chapters', parseChapters('0:00 A\n2:00 B'), []);
+check('Needs ordered timestamps', parseChapters('0:00 A\n5:00 B\n3:00 C'), []);
+
+console.log('\n[Test 2] Player response...');
+const info = {
+  videoDetails: {
+    lengthSeconds: '600',
+    description,
+    chapters: [
+      { title: 'Side A', start_time: 0 },
+      { title: 'Side B', start_time: 300 },
+    ],
+  },
+};
+check('Chapter markers win over the description', getChapters(info), [
+  { title: 'Side A', start: 0, end: 300 },
+  { title: 'Side B', start: 300, end: 600 },
+]);
+
+console.log('\n[Test 3] Finding chapters...');
+check('By number', findChapter(chapters, 2).start, 225);
+check('By "chapter N"', findChapter(chapters, 'Chapter 3').start, 725);
+check('By title', findChapter(chapters, 'mimpi yang sempurna').start, 725);
+check('By part of the title, accents ignored', findChapter(chapters, 'cafe').start, 3723);
+check('Unknown chapter', findChapter(chapters, 'chapter 9'), null);
+
+finish();
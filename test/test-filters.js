@@ -0,0 +1,39 @@
+// Content filter test script
+// Run with: node test/test-filters.js
+
+const { getFilterReason } = require('../src/filters.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('Content Filter', 'filter');
+
+const song = (overrides = {}) => ({
+  id: 'dQw4w9WgXcQ',
+  name: 'Song',
+  duration: 213,
+  isLive: false,
+  musicMetadata: { artists: [{ name: 'Artist', id: 'UCartist' }], explicit: false },
+  ...overrides,
+});
+
+console.log('\n[Test 1] No filters...');
+check('Everything is allowed by default', getFilterReason(song()), null);
+check('Empty filters allow everything', getFilterReason(song({ isLive: true }), {}), null);
+
+console.log('\n[Test 2] Blocklists...');
+check('Blocked video', getFilterReason(song(), { blockedVideos: ['dQw4w9WgXcQ'] }), 'blockedVideo');
+check('Blocked artist', getFilterReason(song(), { blockedArtists: ['UCartist'] }), 'blockedArtist');
+check('Other artist is allowed', getFilterReason(song(), { blockedArtists: ['UCother'] }), null);
+
+console.log('\n[Test 3] Explicit and live...');
+const explicit = song({ musicMetadata: { artists: [], explicit: true } });
+const unknown = song({ musicMetadata: { artists: [], explicit: null } });
+check('Explicit song is blocked', getFilterReason(explicit, { blockExplicit: true }), 'explicit');
+check('Unknown explicit flag is allowed', getFilterReason(unknown, { blockExplicit: true }), null);
+check('Live stream is blocked', getFilterReason(song({ isLive: true, duration: 0 }), { blockLive: true }), 'live');
+
+console.log('\n[Test 4] Duration...');
+check('Too short', getFilterReason(song({ duration: 20 }), { minDuration: 30 }), 'tooShort');
+check('Too long', getFilterReason(song({ duration: 3 * 3600 }), { maxDuration: 3600 }), 'tooLong');
+check('Unknown duration is allowed', getFilterReason(song({ duration: 0 }), { minDuration: 30 }), null);
+
+finish();
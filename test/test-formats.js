@@ -0,0 +1,86 @@
+// Audio format selection test script
+// Run with: node test/test-formats.js
+
+const {
+  chooseAudioFormat,
+  chooseLiveFormat,
+  describeFormat,
+  getExpiry,
+} = require('../src/formats.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('Audio Format', 'audio format');
+
+const format = (itag, audioCodec, audioBitrate, container, extra = {}) => ({
+  itag,
+  url: `https://rr1---sn.googlevideo.com/videoplayback?itag=${itag}`,
+  audioCodec,
+  audioBitrate,
+  container,
+  hasAudio: true,
+  hasVideo: false,
+  ...extra,
+});
+
+const formats = [
+  format(18, 'mp4a.40.2', 96, 'mp4', { hasVideo: true }),
+  format(139, 'mp4a.40.5', 48, 'mp4'),
+  format(140, 'mp4a.40.2', 128, 'mp4', { loudnessDb: -4.2, audioSampleRate: '44100' }),
+  format(249, 'opus', 50, 'webm'),
+  format(251, 'opus', 160, 'webm'),
+];
+const itag = (options) => (chooseAudioFormat(formats, options) || {}).itag;
+
+console.log('\n[Test 1] Codec preference...');
+check('Highest bitrate by default', itag(), 251);
+check('Preferred codec', itag({ codec: 'aac' }), 140);
+check('Container names work too', itag({ codec: 'm4a' }), 140);
+check('Video formats are never picked', itag({ codec: 'aac', maxBitrate: 100 }), 139);
+
+console.log('\n[Test 2] Bitrate limit and fallback...');
+check('Highest bitrate under the limit', itag({ maxBitrate: 130 }), 140);
+check(
+  'Fallback codec when the preferred one is over the limit',
+  itag({ codec: 'opus', maxBitrate: 49, fallback: ['aac'] }),
+  139
+);
+check('Lowest bitrate when every format is over the limit', itag({ maxBitrate: 10 }), 139);
+const opusOnly = formats.filter((f) => f.audioCodec === 'opus');
+check('Any codec when the list has none', chooseAudioFormat(opusOnly, { codec: 'aac' }).itag, 251);
+check('No audio-only format', chooseAudioFormat([formats[0]]), null);
+
+console.log('\n[Test 3] Description...');
+check('Format is described', describeFormat(formats[2]), {
+  itag: 140,
+  codec: 'aac',
+  container: 'mp4',
+  bitrate: 128,
+  sampleRate: 44100,
+  loudnessDb: -4.2,
+});
+
+console.log('\n[Test 4] URL expiry...');
+const base = 'https://rr1---sn-abc.googlevideo.com/videoplayback';
+check('Query parameter', getExpiry(`${base}?expire=1700000000&itag=251`), 1700000000000);
+check('Path segment', getExpiry(`${base}/expire/1700000000/itag/251`), 1700000000000);
+check('No expiry', getExpiry(`${base}?itag=251`), null);
+check('Invalid URL', getExpiry('not a url'), null);
+
+console.log('\n[Test 5] Live streams...');
+const hls = (itag, height, hasVideo = true) =>
+  format(itag, 'mp4a.40.2', 0, 'ts', { isHLS: true, hasVideo, height });
+check('HLS formats are not used for videos', itag({ codec: 'aac' }), 140);
+check('HLS format is ignored by the audio choice', chooseAudioFormat([hls(233, 0, false)]), null);
+check(
+  'Smallest HLS video format',
+  chooseLiveFormat([hls(95, 720), hls(91, 144), formats[4]]).itag,
+  91
+);
+check(
+  'Audio-only HLS format is preferred',
+  chooseLiveFormat([hls(91, 144), hls(233, 0, false)]).itag,
+  233
+);
+check('No HLS format', chooseLiveFormat(formats), null);
+
+finish();
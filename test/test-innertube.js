@@ -0,0 +1,235 @@
+// InnerTube parser test script, against hand-built responses in test/fixtures
+// Run with: node test/test-innertube.js
+
+const {
+  findContinuation,
+  parseDuration,
+  parseListItem,
+  parsePanelItem,
+  parseBrowseHeader,
+  fetchBrowsePage,
+  fetchRadioPage,
+  fetchSearchPage,
+} = require('../src/innertube.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('InnerTube', 'InnerTube');
+
+/**
+ * Create a ytmusic-api client mock answering every request with the next response
+ * @param {...Object} responses Responses in the order of the requests
+ * @returns {{constructRequest: Function, requests: Array}}
+ */
+function createClient(...responses) {
+  const requests = [];
+  return {
+    requests,
+    constructRequest: async (endpoint, body, query) => {
+      requests.push([endpoint, body, query]);
+      return responses.shift();
+    },
+  };
+}
+
+async function run() {
+  console.log('\n[Test 1] Durations and continuations...');
+  check('Minutes', parseDuration('3:32'), 212);
+  check('Hours', parseDuration('1:02:03'), 3723);
+  check('Not a duration', parseDuration('2.3M views'), null);
+  check(
+    'Continuation command',
+    findContinuation({ continuationEndpoint: { continuationCommand: { token: 'command' } } }),
+    'command'
+  );
+  check('No continuation', findContinuation({ contents: [] }), null);
+
+  console.log('\n[Test 2] Playlist pages...');
+  const browse = createClient(
+    require('./fixtures/playlist-first.json'),
+    require('./fixtures/playlist-next.json')
+  );
+  const firstPage = await fetchBrowsePage(browse, 'VLPLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+  check(
+    'Removed videos are skipped',
+    firstPage.tracks.map((track) => track.videoId),
+    ['hTWKbfoikeg', 'fJ9rUzIMcZQ', 'Zi_XLOBDo_Y']
+  );
+  check('Playlist items are parsed', firstPage.tracks[0], {
+    videoId: 'hTWKbfoikeg',
+    name: 'Smells Like Teen Spirit',
+    artists: [{ name: 'Nirvana', artistId: 'UCzGrGrvpwLLaBV6SGGhEpjQ' }],
+    album: { name: 'Nevermind', albumId: 'MPREb_LBDJg8vYwqP' },
+    duration: 302,
+    thumbnails: [
+      { url: 'https://i.ytimg.com/vi/hTWKbfoikeg/sddefault.jpg', width: 60, height: 60 },
+    ],
+    isExplicit: false,
+  });
+  check('The header is read from the first page', firstPage.header, {
+    title: 'Rock Classics',
+    thumbnails: [
+      {
+        url: 'https://i.ytimg.com/vi/hTWKbfoikeg/hqdefault.jpg?sqp=small',
+        width: 240,
+        height: 240,
+      },
+      {
+        url: 'https://i.ytimg.com/vi/hTWKbfoikeg/hqdefault.jpg?sqp=large',
+        width: 544,
+        height: 544,
+      },
+    ],
+    trackCount: 5,
+  });
+  check(
+    'Older detail headers are read too',
+    parseBrowseHeader({
+      header: {
+        musicDetailHeaderRenderer: {
+          title: { runs: [{ text: 'Road Trip' }] },
+          secondSubtitle: {
+            runs: [{ text: '1,234 songs' }, { text: ' • ' }, { text: '5+ hours' }],
+          },
+        },
+      },
+    }),
+    { title: 'Road Trip', thumbnails: [], trackCount: 1234 }
+  );
+  check('Lists without a header have none', parseBrowseHeader({ contents: {} }), null);
+  check(
+    'The continuation command is found',
+    firstPage.continuation,
+    '4qmFsgI8EiRWTFBMckFYdG1FclpnT2VpS200c2dOT2tuR3ZOamJ5OWVmZGY'
+  );
+
+  const nextPage = await fetchBrowsePage(browse, 'VLPLrAXtmErZgOeiKm4sgNOknGvNjby9efdf', 'token');
+  check('Next pages are requested by continuation', browse.requests, [
+    ['browse', { browseId: 'VLPLrAXtmErZgOeiKm4sgNOknGvNjby9efdf' }, undefined],
+    ['browse', { continuation: 'token' }, { continuation: 'token' }],
+  ]);
+  check(
+    'Appended items are parsed',
+    nextPage.tracks.map((track) => [track.videoId, track.duration]),
+    [
+      ['1w7OgIMMRc4', 356],
+      ['kXYiU_JCYtU', 188],
+    ]
+  );
+  check('Artists without a channel keep their name', nextPage.tracks[1].artists, [
+    { name: 'Linkin Park', artistId: null },
+  ]);
+  check('Continued pages have no header', nextPage.header, null);
+  check('The last page has no continuation', nextPage.continuation, null);
+  check('Items without a video are skipped', parseListItem({ flexColumns: [] }), null);
+  check('Missing renderers are skipped', parseListItem(undefined), null);
+
+  console.log('\n[Test 3] Radio pages...');
+  check(
+    'Radio continuation',
+    findContinuation({ nextRadioContinuationData: { continuation: 'radio' } }),
+    'radio'
+  );
+  const radioClient = createClient(
+    require('./fixtures/radio-first.json'),
+    require('./fixtures/radio-next.json')
+  );
+  const radio = { playlistId: 'RDAMVMQkF3oxziUI4', videoId: 'QkF3oxziUI4' };
+  const radioPage = await fetchRadioPage(radioClient, radio);
+  check('The radio title is read', radioPage.title, 'Mix - Stairway to Heaven');
+  check(
+    'Video counterparts are skipped',
+    radioPage.tracks.map((track) => track.videoId),
+    ['QkF3oxziUI4', '1w7OgIMMRc4', 'fJ9rUzIMcZQ']
+  );
+  check('Radio items are parsed', radioPage.tracks[2], {
+    videoId: 'fJ9rUzIMcZQ',
+    name: 'Bohemian Rhapsody',
+    artists: [{ name: 'Queen', artistId: 'UCiMhD4jzUqG-IgPzUmmytRQ' }],
+    album: { name: 'A Night at the Opera', albumId: 'MPREb_7nJ0ZQNsODf' },
+    duration: 355,
+    thumbnails: [
+      { url: 'https://i.ytimg.com/vi/fJ9rUzIMcZQ/sddefault.jpg', width: 640, height: 480 },
+    ],
+    isExplicit: true,
+  });
+  check(
+    'The radio continuation is found',
+    radioPage.continuation,
+    'CBkSJRILUWtGM294emlVSTQiDlJEQU1WTVFrRjNveHppVUk0'
+  );
+
+  const radioNext = await fetchRadioPage(radioClient, radio, radioPage.continuation);
+  const radioBody = { playlistId: radio.playlistId, isAudioOnly: true, videoId: radio.videoId };
+  check('Radio pages are requested from the next endpoint', radioClient.requests, [
+    ['next', radioBody, {}],
+    ['next', radioBody, { ctoken: radioPage.continuation, continuation: radioPage.continuation }],
+  ]);
+  check(
+    'Continued radio pages are parsed',
+    [radioNext.title, radioNext.tracks.map((track) => track.videoId), radioNext.continuation],
+    [null, ['fJ9rUzIMcZQ', 'kXYiU_JCYtU'], null]
+  );
+  check('Panel items without a video are skipped', parsePanelItem({ title: {} }), null);
+  check(
+    'Panel items without links keep the first byline text',
+    parsePanelItem({
+      videoId: 'dQw4w9WgXcQ',
+      title: { runs: [{ text: 'Never Gonna Give You Up' }] },
+      longBylineText: { runs: [{ text: 'Rick Astley' }, { text: ' • ' }, { text: '1.2B views' }] },
+    }),
+    {
+      videoId: 'dQw4w9WgXcQ',
+      name: 'Never Gonna Give You Up',
+      artists: [{ name: 'Rick Astley', artistId: null }],
+      album: null,
+      duration: null,
+      thumbnails: [],
+      isExplicit: false,
+    }
+  );
+
+  console.log('\n[Test 4] Search pages...');
+  const searchClient = createClient(require('./fixtures/search-songs.json'), {});
+  const searchPage = await fetchSearchPage(searchClient, 'lose yourself', 'song');
+  check(
+    'Search results are parsed',
+    searchPage.tracks.map((track) => [track.videoId, track.duration]),
+    [
+      ['Xw2sJ0Oq7k8', 321],
+      ['uWpglm0jPqY', 327],
+      ['RzhAS_GnJIc', 354],
+    ]
+  );
+  check('The album next to the artist is found', searchPage.tracks[0].album, {
+    name: '8 Mile',
+    albumId: 'MPREb_zLOjbKp1tU8',
+  });
+  check('The search continuation is found', typeof searchPage.continuation, 'string');
+  check(
+    'Unknown types are rejected',
+    await fetchSearchPage(searchClient, 'lose yourself', 'album').catch((e) => e.message),
+    'Unsupported search type: album'
+  );
+
+  console.log('\n[Test 5] Explicit badges...');
+  check(
+    'Playlist items carry their badge',
+    firstPage.tracks.map((track) => track.isExplicit),
+    [false, false, true]
+  );
+  check(
+    'Search results carry their badge',
+    searchPage.tracks.map((track) => track.isExplicit),
+    [true, false, false]
+  );
+  await fetchSearchPage(searchClient, 'lose yourself', 'all', 'token');
+  check('Mixed searches send no filter', searchClient.requests[1], [
+    'search',
+    { query: 'lose yourself' },
+    { ctoken: 'token', continuation: 'token', type: 'next' },
+  ]);
+
+  finish();
+}
+
+run();
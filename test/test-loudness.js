@@ -0,0 +1,29 @@
+// Loudness normalization test script
+// Run with: node test/test-loudness.js
+
+const { normalizeLoudness, getInfoLoudness } = require('../src/loudness.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('Loudness', 'loudness');
+
+console.log('\n[Test 1] Gain...');
+check('Loud song is turned down', normalizeLoudness(6.02), {
+  gainDb: -6.02,
+  volume: 0.5,
+  ffmpegArgs: { af: 'volume=-6.02dB' },
+});
+check('Quiet song is not boosted by default', normalizeLoudness(-4).gainDb, 0);
+check('Quiet song is boosted up to the limit', normalizeLoudness(-8, { maxGainDb: 5 }).gainDb, 5);
+check('Target below the reference', normalizeLoudness(0, { targetDb: -3 }).gainDb, -3);
+check('Unknown loudness', normalizeLoudness(null), null);
+
+console.log('\n[Test 2] Video info...');
+const info = (loudnessDb, formats = []) => ({
+  player_response: { playerConfig: { audioConfig: { loudnessDb } } },
+  formats,
+});
+check('Loudness of the player response', getInfoLoudness(info(-2.5)), -2.5);
+check('Loudness of a format', getInfoLoudness(info(undefined, [{}, { loudnessDb: 1.5 }])), 1.5);
+check('No loudness', getInfoLoudness({ formats: [] }), null);
+
+finish();
@@ -0,0 +1,693 @@
+// Plugin test script, with the YouTube Music client replaced by mocks so no network is needed
+// Run with: node test/test-plugin.js
+
+const { Readable } = require('stream');
+const ytdl = require('@distube/ytdl-core');
+const YTMusic = require('ytmusic-api');
+const YouTubeMusicPlugin = require('../src/index.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('Plugin', 'plugin');
+
+/**
+ * Create a plugin whose ytmusic-api client is a mock
+ * @param {Object} client Methods of the mocked client
+ * @param {Object} [options] Plugin options
+ * @returns {YouTubeMusicPlugin}
+ */
+function createPlugin(client, options = {}) {
+  const plugin = new YouTubeMusicPlugin(options);
+  plugin.ytmusic = client;
+  return plugin;
+}
+
+async function run() {
+  console.log('\n[Test 1] Related songs...');
+  // Shape of ytmusic-api's getUpNexts results
+  const upNexts = [
+    {
+      type: 'SONG',
+      videoId: 'aaaaaaaaaaa',
+      title: 'First Up Next',
+      artists: 'Some Artist',
+      duration: '3:20',
+      thumbnail: 'https://lh3.googleusercontent.com/a=w120-h120',
+    },
+    {
+      type: 'SONG',
+      videoId: 'bbbbbbbbbbb',
+      title: 'Blocked Up Next',
+      artists: 'Other Artist',
+      duration: '4:05',
+      thumbnail: 'https://lh3.googleusercontent.com/b=w120-h120',
+    },
+  ];
+  const requested = [];
+  const plugin = createPlugin(
+    {
+      getUpNexts: async (videoId) => {
+        requested.push(videoId);
+        return upNexts;
+      },
+    },
+    { filters: { blockedVideos: ['bbbbbbbbbbb'] } }
+  );
+  const related = await plugin.getRelatedSongs({ id: 'dQw4w9WgXcQ' });
+  check('Up nexts of the song are requested', requested, ['dQw4w9WgXcQ']);
+  check(
+    'Up nexts become songs, without the filtered ones',
+    related.map((song) => [song.id, song.name, song.duration, song.uploader.name, song.thumbnail]),
+    [['aaaaaaaaaaa', 'First Up Next', 200, 'Some Artist', upNexts[0].thumbnail]]
+  );
+
+  const failing = createPlugin({
+    getUpNexts: async () => {
+      throw new Error('Invalid response structure');
+    },
+  });
+  check('Failed requests give no songs', await failing.getRelatedSongs({ id: 'dQw4w9WgXcQ' }), []);
+
+  console.log('\n[Test 2] Explicit songs...');
+  const searchResponse = require('./fixtures/search-songs.json');
+  const innertube = {
+    constructRequest: async () => searchResponse,
+    // ytmusic-api's mixed search results carry no explicit flag
+    search: async () => [
+      { type: 'SONG', videoId: 'Xw2sJ0Oq7k8', name: 'Lose Yourself', artist: { name: 'Eminem' } },
+      { type: 'SONG', videoId: 'RzhAS_GnJIc', name: 'Lose Yourself to Dance', artist: null },
+    ],
+  };
+  const open = createPlugin(innertube);
+  const clean = createPlugin(innertube, { filters: { blockExplicit: true } });
+
+  const best = await open.searchSong('lose yourself');
+  check(
+    'Search reads the explicit badge',
+    [best.id, best.musicMetadata.explicit],
+    ['Xw2sJ0Oq7k8', true]
+  );
+  const allowed = await clean.searchSong('lose yourself');
+  check('blockExplicit skips explicit search results', allowed.musicMetadata.explicit, false);
+  check(
+    'blockExplicit applies to typed searches',
+    (await clean.search('lose yourself', { type: 'song' })).map((song) => song.id),
+    ['uWpglm0jPqY', 'RzhAS_GnJIc']
+  );
+  check(
+    'blockExplicit applies to mixed searches',
+    (await clean.search('lose yourself')).map((song) => song.id),
+    ['RzhAS_GnJIc']
+  );
+
+  console.log('\n[Test 3] Live streams found when streaming...');
+  ytdl.getInfo = async () => ({
+    videoDetails: { videoId: 'jfKfPfyJRdk', title: 'lofi hip hop radio', isLive: true },
+    formats: [{ itag: 91, url: 'https://manifest.googlevideo.com/live.m3u8', isHLS: true }],
+  });
+  // Search results of 24/7 streams are not marked as live
+  const searchResult = { videoId: 'jfKfPfyJRdk', name: 'lofi hip hop radio', duration: null };
+  const live = createPlugin({}, { streamCache: false });
+  const liveSong = live.toSong(searchResult);
+  check(
+    'Live streams play from HLS',
+    await live.getStreamURL(liveSong),
+    'https://manifest.googlevideo.com/live.m3u8'
+  );
+  check('The song is marked as live', [liveSong.isLive, liveSong.liveStatus], [true, 'live']);
+
+  const noLive = createPlugin({}, { streamCache: false, filters: { blockLive: true } });
+  const blocked = await noLive.getStreamURL(noLive.toSong(searchResult)).catch((e) => e.message);
+  check(
+    'blockLive rejects them once the stream is fetched',
+    blocked,
+    'Song rejected by content filters: live'
+  );
+
+  console.log('\n[Test 4] Premieres that have not started...');
+  // The error ytdl-core throws for the LIVE_STREAM_OFFLINE playability status
+  const { playError } = require('@distube/ytdl-core/lib/utils');
+  let infoRequests = 0;
+  ytdl.getInfo = async () => {
+    infoRequests++;
+    throw playError({
+      playabilityStatus: { status: 'LIVE_STREAM_OFFLINE', reason: 'Premieres in 8 hours' },
+    });
+  };
+  const premiere = createPlugin({}, { streamCache: false, retry: { minDelay: 1, maxDelay: 2 } });
+  const resolveError = await premiere
+    .resolve('https://music.youtube.com/watch?v=jfKfPfyJRdk')
+    .catch((e) => e.message);
+  check(
+    'Resolving reports the premiere with its reason',
+    resolveError,
+    'Failed to resolve video: This live stream or premiere has not started yet (Premieres in 8 hours)'
+  );
+  infoRequests = 0;
+  const streamError = await premiere
+    .getStreamURL(premiere.toSong(searchResult))
+    .catch((e) => e.message);
+  check(
+    'Streaming fails without retries',
+    [streamError, infoRequests],
+    ['This live stream or premiere has not started yet (Premieres in 8 hours)', 1]
+  );
+  ytdl.getInfo = async () => {
+    throw playError({ playabilityStatus: { status: 'LIVE_STREAM_OFFLINE' } });
+  };
+  check(
+    "ytdl-core's default message is recognised",
+    await premiere.resolve('https://music.youtube.com/watch?v=jfKfPfyJRdk').catch((e) => e.message),
+    'Failed to resolve video: This live stream or premiere has not started yet (The live stream is offline.)'
+  );
+
+  console.log('\n[Test 5] Ranked search pages...');
+  // The fixture is the only page, continuation requests get an empty one
+  const pager = createPlugin({
+    constructRequest: async (endpoint, body, query) => (query.continuation ? {} : searchResponse),
+  });
+  const unranked = await pager.searchSongs('lose yourself to dance', { limit: 1 });
+  check(
+    'Unranked searches keep the page order',
+    unranked.map((song) => song.id),
+    ['Xw2sJ0Oq7k8']
+  );
+  const ranked = await pager.searchSongs('lose yourself to dance', { limit: 1, rank: true });
+  check(
+    'The whole page is ranked before the limit',
+    ranked.map((song) => song.id),
+    ['RzhAS_GnJIc']
+  );
+  const rest = await pager.searchSongs('lose yourself to dance', {
+    limit: 5,
+    rank: true,
+    cursor: ranked.cursor,
+  });
+  check(
+    'The cursor continues in ranked order',
+    [rest.map((song) => song.id).sort(), rest.cursor],
+    [['Xw2sJ0Oq7k8', 'uWpglm0jPqY'], null]
+  );
+  check(
+    'A cursor of another search gives no results',
+    await pager.searchSongs('lose yourself to dance', { cursor: unranked.cursor, rank: true }),
+    []
+  );
+  check(
+    'An invalid cursor gives no results',
+    await pager.searchSongs('lose yourself to dance', { cursor: 'not a cursor' }),
+    []
+  );
+
+  check(
+    'Albums, playlists and artists are left to search()',
+    await pager.searchSongs('lose yourself', { type: 'album' }).catch((e) => e.message),
+    'Unsupported search type: album, use search() for albums, playlists and artists'
+  );
+
+  console.log('\n[Test 6] Guild options...');
+  const guildSettings = new Map([
+    ['1', { audioFormat: { codec: 'aac' } }],
+    ['2', { audioFormat: { codec: 'mp3' } }],
+    ['3', { audioFormat: { quality: 'high' } }],
+  ]);
+  const guilds = createPlugin({}, { audioFormat: { codec: 'opus' }, guildOptions: guildSettings });
+  const memberOf = (id) => ({ guild: { id } });
+  check(
+    'Guilds can override the audio format',
+    [
+      (await guilds.getGuildOptions(memberOf('1'))).audioFormat,
+      (await guilds.getGuildOptions(memberOf('4'))).audioFormat,
+    ],
+    [{ codec: 'aac' }, { codec: 'opus' }]
+  );
+  check(
+    'Unsupported codecs of a guild are rejected',
+    await guilds.getGuildOptions(memberOf('2')).catch((e) => e.message),
+    'Unsupported audio codec: mp3'
+  );
+  check(
+    'Unknown audio format keys of a guild are rejected',
+    await guilds
+      .getGuildOptions(memberOf('3'))
+      .then(() => null)
+      .catch((e) => e.errorCode),
+    'INVALID_KEY'
+  );
+
+  console.log('\n[Test 7] Caches keyed by guild settings...');
+  const fetched = [];
+  // Signed stream URLs carry their expiry, far enough out that cache hits are not refreshed
+  const expire = Math.floor(Date.now() / 1000) + 6 * 60 * 60;
+  ytdl.getInfo = async (url, requestOptions) => {
+    fetched.push(requestOptions.lang || null);
+    return {
+      videoDetails: {
+        videoId: 'dQw4w9WgXcQ',
+        title: 'Never Gonna Give You Up',
+        lengthSeconds: '213',
+      },
+      formats: [
+        {
+          itag: 251,
+          url: `https://rr1.googlevideo.com/opus?expire=${expire}`,
+          audioCodec: 'opus',
+          audioBitrate: 160,
+        },
+        {
+          itag: 140,
+          url: `https://rr1.googlevideo.com/aac?expire=${expire}`,
+          audioCodec: 'mp4a.40.2',
+          audioBitrate: 128,
+        },
+      ],
+    };
+  };
+  const cached = createPlugin(
+    {},
+    {
+      guildOptions: new Map([
+        ['1', { audioFormat: { codec: 'aac' } }],
+        ['2', { language: 'ja' }],
+      ]),
+    }
+  );
+  // DisTube only keeps real guild members on songs, so the guild options are passed directly
+  const streamOf = async (guildId) =>
+    (await cached.getStreamFormat('dQw4w9WgXcQ', await cached.getGuildOptions(memberOf(guildId))))
+      .url;
+  check(
+    'Guilds with their own audio format get their own stream',
+    [await streamOf('0'), await streamOf('1'), await streamOf('0')],
+    [
+      `https://rr1.googlevideo.com/opus?expire=${expire}`,
+      `https://rr1.googlevideo.com/aac?expire=${expire}`,
+      `https://rr1.googlevideo.com/opus?expire=${expire}`,
+    ]
+  );
+  await streamOf('2');
+  check('Guilds with their own language get their own video info', fetched, [null, null, 'ja']);
+
+  console.log('\n[Test 8] Search suggestions...');
+  const suggested = [];
+  const suggestionClient = {
+    getSearchSuggestions: async (text) => {
+      suggested.push(text);
+      return [`${text} song`];
+    },
+  };
+  const typing = createPlugin(suggestionClient, { suggestionDebounce: 20 });
+  const typist = { id: 'u1', guild: { id: '0' } };
+  const keystrokes = await Promise.all(
+    ['ne', 'nev', 'neve'].map((text) => typing.getSearchSuggestions(text, { member: typist }))
+  );
+  check(
+    'Only the last keystroke of a member is requested',
+    [keystrokes, suggested],
+    [[[], [], ['neve song']], ['neve']]
+  );
+  check(
+    'Cached suggestions are not debounced',
+    await typing.getSearchSuggestions('neve', { member: typist }),
+    ['neve song']
+  );
+
+  suggested.length = 0;
+  const uncachedSuggestions = createPlugin(suggestionClient, { suggestionCacheTTL: 0 });
+  await uncachedSuggestions.getSearchSuggestions('never');
+  await uncachedSuggestions.getSearchSuggestions('never');
+  check('suggestionCacheTTL 0 disables the cache', suggested, ['never', 'never']);
+
+  console.log('\n[Test 9] Radio...');
+  const radioPages = {
+    first: require('./fixtures/radio-first.json'),
+    next: require('./fixtures/radio-next.json'),
+  };
+  const radioClient = {
+    constructRequest: async (endpoint, body, query) =>
+      query.continuation ? radioPages.next : radioPages.first,
+  };
+  const radioPlugin = createPlugin(radioClient, { maxPlaylistSongs: 2 });
+  const radio = await radioPlugin.resolve(
+    'https://music.youtube.com/watch?v=QkF3oxziUI4&list=RDAMVMQkF3oxziUI4'
+  );
+  check(
+    'The radio is cut at maxPlaylistSongs, without video counterparts',
+    [radio.name, radio.songs.map((song) => song.id)],
+    ['Mix - Stairway to Heaven', ['QkF3oxziUI4', '1w7OgIMMRc4']]
+  );
+  check('Radio songs only keep the radio ID', radio.songs[0].radioId, 'RDAMVMQkF3oxziUI4');
+  const refills = [];
+  const refilled = [];
+  for (let i = 0; i < 3; i++) {
+    const [next] = await radioPlugin.getNextRadioSongs(radio.songs[0].radioId);
+    refills.push(next ? next.id : null);
+    if (next) refilled.push(next);
+  }
+  check('Songs beyond the limit are refilled first, then the next page without repeats', refills, [
+    'fJ9rUzIMcZQ',
+    'kXYiU_JCYtU',
+    null,
+  ]);
+  check(
+    'Refilled songs can be serialized',
+    refilled.map((song) => JSON.parse(JSON.stringify(song)).radioId),
+    ['RDAMVMQkF3oxziUI4', 'RDAMVMQkF3oxziUI4']
+  );
+  check(
+    'Radios dropped from the cache refill nothing',
+    await radioPlugin.getNextRadioSongs('RDAMVMdQw4w9WgXcQ'),
+    []
+  );
+
+  console.log('\n[Test 10] Watch list policies...');
+  // The constructor checks the global policy, getGuildOptions the guild's
+  const policyError = async (options) => {
+    try {
+      await createPlugin({}, options).getGuildOptions(memberOf('1'));
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  };
+  check(
+    'Unknown watch list policies are rejected',
+    await policyError({ watchListPolicy: 'first' }),
+    'Unsupported watch list policy: first, expected one of song, startAtSong, playlist'
+  );
+  check(
+    'Unknown watch list policies of a guild are rejected',
+    await policyError({ guildOptions: new Map([['1', { watchListPolicy: 'all' }]]) }),
+    'Unsupported watch list policy: all, expected one of song, startAtSong, playlist'
+  );
+
+  console.log('\n[Test 11] Locale clients...');
+  const initialized = [];
+  YTMusic.prototype.initialize = async function (options) {
+    if (options.GL === 'XX') throw new Error('Invalid region');
+    initialized.push(options.HL);
+  };
+  const locales = createPlugin({});
+  const localeClients = await Promise.all(
+    ['fr', 'fr', 'de'].map((language) => locales.getClient({ language }))
+  );
+  check(
+    'Concurrent requests of a locale share one client',
+    [initialized, localeClients[0] === localeClients[1]],
+    [['fr', 'de'], true]
+  );
+  for (let i = 0; i < 30; i++) await locales.getClient({ language: `l${i}` });
+  check('Locale clients are bounded', locales.localeClients.entries.size, 20);
+  const failure = await locales.getClient({ region: 'XX' }).catch((e) => e.message);
+  check(
+    'Failed initializations are not kept',
+    [failure, locales.localeClients.get(':XX')],
+    ['Invalid region', undefined]
+  );
+
+  console.log('\n[Test 12] Playlist pages...');
+  const playlistPages = {
+    first: require('./fixtures/playlist-first.json'),
+    next: require('./fixtures/playlist-next.json'),
+  };
+  const browsed = [];
+  const playlistClient = {
+    constructRequest: async (endpoint, body, query) => {
+      browsed.push(query && query.continuation ? 'next' : 'first');
+      return query && query.continuation ? playlistPages.next : playlistPages.first;
+    },
+  };
+  const playlistUrl = 'https://music.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf';
+  const paged = await createPlugin(playlistClient, { maxPlaylistSongs: 4 }).resolve(playlistUrl);
+  check(
+    'Pages are followed up to maxPlaylistSongs',
+    paged.songs.map((song) => song.id),
+    ['hTWKbfoikeg', 'fJ9rUzIMcZQ', 'Zi_XLOBDo_Y', '1w7OgIMMRc4']
+  );
+  check(
+    'The playlist details come from the header of the first page',
+    [paged.name, paged.thumbnail, paged.totalSongs],
+    ['Rock Classics', 'https://i.ytimg.com/vi/hTWKbfoikeg/hqdefault.jpg?sqp=large', 5]
+  );
+  check('The first page is requested once', browsed, ['first', 'next']);
+
+  console.log('\n[Test 13] Watch URLs with a playlist...');
+  const started = await createPlugin(playlistClient).resolve(
+    'https://music.youtube.com/watch?v=1w7OgIMMRc4&list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'
+  );
+  check(
+    'Watch URLs start at the linked song, even on a later page',
+    started.songs.map((song) => song.id),
+    ['1w7OgIMMRc4', 'kXYiU_JCYtU']
+  );
+
+  console.log('\n[Test 14] Lazy playlists...');
+  // DisTube queue the lazy playlist is played in
+  const queue = {
+    id: '1',
+    stopped: false,
+    songs: [],
+    addToQueue(songs) {
+      this.songs.push(...songs);
+    },
+  };
+  const lazy = createPlugin(playlistClient, { lazyLoad: true });
+  const batches = [];
+  const loaded = new Promise((resolve) => {
+    lazy.distube = {
+      queues: { collection: new Map([['1', queue]]) },
+      getQueue: () => queue,
+      emit: (event, ...args) => {
+        if (event === 'ytmusicPlaylistBatch') batches.push(args[2].map((song) => song.id));
+        if (event === 'ytmusicPlaylistLoaded') resolve();
+      },
+    };
+  });
+  const lazyPlaylist = await lazy.resolve(playlistUrl);
+  check(
+    'Lazy playlists resolve with their first page',
+    lazyPlaylist.songs.map((song) => song.id),
+    ['hTWKbfoikeg', 'fJ9rUzIMcZQ', 'Zi_XLOBDo_Y']
+  );
+  queue.songs.push(...lazyPlaylist.songs);
+  await loaded;
+  check(
+    'The remaining pages are added to the queue in the background',
+    [batches, queue.songs.length, lazyPlaylist.songs.length],
+    [[['1w7OgIMMRc4', 'kXYiU_JCYtU']], 5, 5]
+  );
+
+  console.log('\n[Test 15] URLs accepted through ytdl-core...');
+  const urls = createPlugin({});
+  for (const url of [
+    'https://gaming.youtube.com/watch?v=dQw4w9WgXcQ',
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQextra',
+    'https://music.youtube.com/watch?feature=share&v=dQw4w9WgXcQ',
+    'http://youtube.com/v/dQw4w9WgXcQ',
+    'https://youtu.be/dQw4w9WgXcQ',
+  ]) {
+    check(
+      url,
+      [urls.validate(url), urls.extractId(url)],
+      [true, { type: 'video', id: 'dQw4w9WgXcQ' }]
+    );
+  }
+  check('Other sites are still rejected', urls.validate('https://vimeo.com/76979871'), false);
+  check('Non-strings are rejected', urls.validate(null), false);
+
+  console.log('\n[Test 16] Video info reused when streaming...');
+  let infoCalls = 0;
+  ytdl.getInfo = async () => {
+    infoCalls++;
+    return {
+      videoDetails: {
+        videoId: 'dQw4w9WgXcQ',
+        title: 'Never Gonna Give You Up',
+        lengthSeconds: '213',
+      },
+      formats: [
+        {
+          itag: 251,
+          url: `https://rr1.googlevideo.com/opus?expire=${expire}`,
+          audioCodec: 'opus',
+          audioBitrate: 160,
+        },
+      ],
+    };
+  };
+  const reused = createPlugin({});
+  for (const request of [{}, { language: 'ja' }]) {
+    infoCalls = 0;
+    const song = await reused.resolve('https://music.youtube.com/watch?v=dQw4w9WgXcQ', request);
+    await reused.getStreamURL(song);
+    check(
+      `Video info is fetched once across resolve and getStreamURL${request.language ? ', with a language override' : ''}`,
+      infoCalls,
+      1
+    );
+    // The cached stream URL would otherwise answer the next round without the info
+    reused.streamCache.clear();
+  }
+
+  console.log('\n[Test 17] Substitutes of unavailable songs...');
+  ytdl.getInfo = async (url) => {
+    const videoId = new URL(url).searchParams.get('v');
+    if (videoId === 'LoseYrslf01') throw new Error('Video unavailable');
+    return {
+      videoDetails: { videoId, title: 'Lose Yourself', lengthSeconds: '321' },
+      formats: [
+        {
+          itag: 251,
+          url: `https://rr1.googlevideo.com/${videoId}?expire=${expire}`,
+          audioCodec: 'opus',
+          audioBitrate: 160,
+        },
+      ],
+    };
+  };
+  const substituteQueries = [];
+  const substituteClient = {
+    constructRequest: async (endpoint, body) => {
+      substituteQueries.push(body.query);
+      return require('./fixtures/search-songs.json');
+    },
+  };
+  const unavailable = {
+    videoId: 'LoseYrslf01',
+    name: 'Lose Yourself',
+    artists: [{ name: 'Eminem', artistId: 'UCedvOgsKFzcK3hA5taf3KoQ' }],
+    duration: 321,
+  };
+  const substituted = [];
+  const substituting = createPlugin(substituteClient, { streamCache: false });
+  substituting.distube = {
+    emit: (event, ...args) => substituted.push([event, args[1].id, args[2]]),
+  };
+  const replaced = substituting.toSong(unavailable);
+  check(
+    'Another upload of the recording is played instead',
+    [await substituting.getStreamURL(replaced), replaced.substitute.id, substituteQueries[0]],
+    [
+      `https://rr1.googlevideo.com/Xw2sJ0Oq7k8?expire=${expire}`,
+      'Xw2sJ0Oq7k8',
+      'Eminem - Lose Yourself',
+    ]
+  );
+  check('The substitution is reported', substituted, [
+    ['ytmusicSongSubstituted', 'Xw2sJ0Oq7k8', 'Video unavailable'],
+  ]);
+
+  const cleanOnly = createPlugin(substituteClient, {
+    streamCache: false,
+    filters: { blockExplicit: true },
+  });
+  const cleaned = cleanOnly.toSong(unavailable);
+  await cleanOnly.getStreamURL(cleaned);
+  check('Substitutes rejected by the filters are skipped', cleaned.substitute.id, 'uWpglm0jPqY');
+
+  substituteQueries.length = 0;
+  const noFallback = createPlugin(substituteClient, {
+    streamCache: false,
+    unavailableFallback: false,
+  });
+  const kept = noFallback.toSong(unavailable);
+  check(
+    'unavailableFallback: false fails without searching',
+    [
+      await noFallback.getStreamURL(kept).catch((e) => e.message),
+      kept.substitute,
+      substituteQueries,
+    ],
+    ['Video unavailable', undefined, []]
+  );
+
+  console.log('\n[Test 18] Direct streams...');
+  ytdl.getInfo = async () => ({
+    videoDetails: {
+      videoId: 'dQw4w9WgXcQ',
+      title: 'Never Gonna Give You Up',
+      lengthSeconds: '213',
+    },
+    formats: [
+      {
+        itag: 251,
+        url: `https://rr1.googlevideo.com/opus?expire=${expire}`,
+        mimeType: 'audio/webm; codecs="opus"',
+        contentLength: '5',
+        audioCodec: 'opus',
+        audioBitrate: 160,
+      },
+    ],
+  });
+  ytdl.downloadFromInfo = () => Readable.from([Buffer.from('audio')]);
+  const direct = createPlugin({}, { directStream: true });
+  const relayUrl = await direct.getStreamURL(
+    direct.toSong({ videoId: 'dQw4w9WgXcQ', name: 'Never Gonna Give You Up' })
+  );
+  check(
+    'The stream URL points to the relay',
+    /^http:\/\/127\.0\.0\.1:\d+\/\w+$/.test(relayUrl),
+    true
+  );
+  const relayed = await fetch(relayUrl);
+  check(
+    'The relay serves the download',
+    [relayed.headers.get('content-type'), await relayed.text()],
+    ['audio/webm', 'audio']
+  );
+  direct.destroy();
+  check(
+    'destroy() closes the relay',
+    await fetch(relayUrl).then(
+      () => 'open',
+      () => 'closed'
+    ),
+    'closed'
+  );
+
+  console.log('\n[Test 19] Guild cookie agents...');
+  const agents = createPlugin({});
+  const cookiesOf = (value) => ({ cookies: [{ name: 'SID', value }] });
+  const firstAgent = agents.getRequestOptions(cookiesOf('0')).agent;
+  check(
+    'Guilds with the same cookies share one agent',
+    agents.getRequestOptions(cookiesOf('0')).agent === firstAgent,
+    true
+  );
+  for (let i = 1; i <= 120; i++) agents.getRequestOptions(cookiesOf(String(i)));
+  check(
+    'Guild agents are bounded, the oldest is dropped first',
+    [
+      agents.guildAgents.entries.size,
+      agents.guildAgents.get(JSON.stringify(cookiesOf('0').cookies)),
+    ],
+    [100, undefined]
+  );
+
+  console.log('\n[Test 20] Release years of videos...');
+  const years = createPlugin({});
+  const yearOf = (details) =>
+    years.toSong({
+      videoDetails: {
+        videoId: 'Xw2sJ0Oq7k8',
+        title: 'Lose Yourself',
+        publishDate: '2014-10-24',
+        ...details,
+      },
+      formats: [],
+    }).musicMetadata.year;
+  check(
+    'The release date of music uploads is preferred over the upload date',
+    [
+      yearOf({
+        description: 'Provided to YouTube by Universal Music Group\n\nReleased on: 2002-10-28',
+      }),
+      yearOf({ media: { album: '8 Mile', year: '2002' } }),
+      yearOf({}),
+    ],
+    [2002, 2002, 2014]
+  );
+
+  finish();
+}
+
+run();
@@ -0,0 +1,59 @@
+// Search ranking test script
+// Run with: node test/test-ranking.js
+
+const { scoreSong, rankSongs, isSameRecording } = require('../src/ranking.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('Search Ranking', 'ranking');
+
+const song = (id, name, artist, duration = 240) => ({
+  id,
+  name,
+  duration,
+  uploader: { name: artist },
+  musicMetadata: { artists: [{ name: artist }] },
+});
+
+const results = [
+  song('karaoke', 'Semua Tentang Kita (Karaoke Version)', 'Karaoke Hits'),
+  song('cover', 'Semua Tentang Kita (Cover)', 'Someone Else'),
+  song('original', 'Semua Tentang Kita', 'Peterpan'),
+  song('live', 'Semua Tentang Kita (Live)', 'Peterpan'),
+];
+
+console.log('\n[Test 1] Artist - title queries...');
+const ranked = rankSongs(results, 'Peterpan - Semua Tentang Kita').map((s) => s.id);
+check('Original recording ranks first', ranked[0], 'original');
+check('Live recording ranks above covers', ranked.indexOf('live') < ranked.indexOf('cover'), true);
+check(
+  'Title - artist order works too',
+  rankSongs(results, 'Semua Tentang Kita - Peterpan')[0].id,
+  'original'
+);
+
+console.log('\n[Test 2] Requested versions...');
+check('Karaoke wins when asked for', rankSongs(results, 'Semua Tentang Kita karaoke')[0].id, 'karaoke');
+check('Live wins when asked for', rankSongs(results, 'Peterpan - Semua Tentang Kita live')[0].id, 'live');
+
+console.log('\n[Test 3] Free text and duration...');
+check('Free text with the artist', rankSongs(results, 'peterpan semua tentang kita')[0].id, 'original');
+const edits = [song('long', 'Hati-Hati di Jalan', 'Tulus', 600), song('short', 'Hati-Hati di Jalan', 'Tulus', 242)];
+check('Closest duration wins', rankSongs(edits, 'Hati-Hati di Jalan', { duration: 240 })[0].id, 'short');
+check('Ties keep the original order', rankSongs(edits, 'Hati-Hati di Jalan')[0].id, 'long');
+check(
+  'Accents are ignored',
+  scoreSong(song('a', 'Café', 'X'), 'cafe') === scoreSong(song('a', 'Cafe', 'X'), 'cafe'),
+  true
+);
+
+console.log('\n[Test 4] Same recording...');
+const original = song('original', 'Semua Tentang Kita', 'Peterpan', 240);
+const topic = song('topic', 'Semua Tentang Kita', 'Peterpan', 243);
+check('Other upload of the recording matches', isSameRecording(topic, original), true);
+check('Live version does not match', isSameRecording(results[3], original), false);
+check('Cover does not match', isSameRecording(results[1], original), false);
+const edit = song('edit', 'Semua Tentang Kita', 'Peterpan', 300);
+check('Far duration does not match', isSameRecording(edit, original), false);
+check('The song itself does not match', isSameRecording(original, original), false);
+
+finish();
@@ -0,0 +1,88 @@
+// Resumable stream test script
+// Run with: node test/test-resumableStream.js
+
+const { Readable } = require('stream');
+const { createResumableStream } = require('../src/resumableStream.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('Resumable Stream', 'resumable stream');
+
+const data = 'abcdefghijklmnopqrstuvwxyz';
+
+// Source serving a range of data, failing or ending after `cut` characters
+function source(range, cut, fail) {
+  const start = range ? range.start : 0;
+  const end = range && range.end != null ? range.end + 1 : data.length;
+  const chunk = data.slice(start, cut ? Math.min(start + cut, end) : end);
+  return new Readable({
+    read() {
+      if (this.sent) {
+        if (fail && cut) this.destroy(new Error(fail));
+        else this.push(null);
+        return;
+      }
+      this.sent = true;
+      this.push(chunk);
+    },
+  });
+}
+
+async function read(stream) {
+  let body = '';
+  for await (const chunk of stream) body += chunk;
+  return body;
+}
+
+async function run() {
+  console.log('\n[Test 1] Resuming...');
+  const ranges = [];
+  let refreshes = 0;
+  const cuts = [10, 5];
+  const resumed = createResumableStream({
+    open: (range) => {
+      ranges.push(range);
+      return source(range, cuts.shift(), 'Status code: 403');
+    },
+    refresh: async () => refreshes++,
+    contentLength: data.length,
+  });
+  check('Whole stream is received', await read(resumed), data);
+  check('Download resumes from the received offset', ranges, [
+    undefined,
+    { start: 10, end: 25 },
+    { start: 15, end: 25 },
+  ]);
+  check('URL is refreshed before each resume', refreshes, 2);
+
+  console.log('\n[Test 2] Early end...');
+  const early = [12];
+  const ended = createResumableStream({
+    open: (range) => source(range, early.shift()),
+    contentLength: data.length,
+  });
+  check('Early end is resumed', await read(ended), data);
+
+  const partial = createResumableStream({
+    open: (range) => source(range),
+    range: { start: 20 },
+    contentLength: data.length,
+  });
+  check('Range is kept', await read(partial), 'uvwxyz');
+
+  console.log('\n[Test 3] Giving up...');
+  let opens = 0;
+  const dead = createResumableStream({
+    open: (range) => {
+      opens++;
+      return source(range, opens === 1 ? 5 : -1, 'ECONNRESET');
+    },
+    contentLength: data.length,
+    maxResumes: 2,
+  });
+  const error = await read(dead).catch((e) => e.message);
+  check('Fails after the resumes without progress', [error, opens], ['ECONNRESET', 3]);
+
+  finish();
+}
+
+run();
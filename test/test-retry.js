@@ -0,0 +1,102 @@
+// Stream extraction retry test script
+// Run with: node test/test-retry.js
+
+const {
+  withRetry,
+  isTransientError,
+  getBackoffDelay,
+  getUnsupportedClients,
+} = require('../src/retry.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('Retry', 'retry');
+
+async function run() {
+  console.log('\n[Test 1] Transient errors...');
+  check('Rate limit', isTransientError(new Error('Status code: 429')), true);
+  check('Signature rejection', isTransientError(new Error('Status code: 403')), true);
+  check(
+    'Connection reset',
+    isTransientError(Object.assign(new Error('read'), { code: 'ECONNRESET' })),
+    true
+  );
+  check(
+    'Missing format is not transient',
+    isTransientError(new Error('No suitable audio format found')),
+    false
+  );
+
+  console.log('\n[Test 2] Backoff...');
+  const options = { minDelay: 100, maxDelay: 1000 };
+  check(
+    'First retry',
+    getBackoffDelay(0, options, () => 0.5),
+    75
+  );
+  check(
+    'Delay doubles',
+    getBackoffDelay(2, options, () => 0),
+    200
+  );
+  check(
+    'Delay is capped',
+    getBackoffDelay(10, options, () => 0.999),
+    1000
+  );
+
+  console.log('\n[Test 3] Client fallback...');
+  const fast = {
+    retries: 1,
+    minDelay: 1,
+    maxDelay: 2,
+    playerClients: ['WEB_EMBEDDED', 'ANDROID', 'IOS'],
+  };
+  const calls = [];
+  const result = await withRetry(async (client) => {
+    calls.push(client);
+    if (client === 'WEB_EMBEDDED') throw new Error('Status code: 429');
+    if (client === 'ANDROID') throw new Error('No suitable audio format found');
+    return client;
+  }, fast);
+  check('Next client after the retries', result, 'IOS');
+  check('Transient errors are retried, others are not', calls, [
+    'WEB_EMBEDDED',
+    'WEB_EMBEDDED',
+    'ANDROID',
+    'IOS',
+  ]);
+
+  const error = await withRetry(async () => {
+    throw new Error('Status code: 403');
+  }, fast).catch((e) => e);
+  check('Every attempt is reported', error.attempts.length, 6);
+  check(
+    'Attempts are listed in the message',
+    error.message.includes('ANDROID #2: Status code: 403'),
+    true
+  );
+
+  const stopped = await withRetry(
+    async () => {
+      throw new Error('Video unavailable');
+    },
+    fast,
+    (e) => e.message === 'Video unavailable'
+  ).catch((e) => e);
+  check('Stop errors are thrown as is', stopped.message, 'Video unavailable');
+
+  console.log('\n[Test 4] Default clients...');
+  const defaults = [];
+  await withRetry(async (client) => defaults.push(client), { minDelay: 1, maxDelay: 2 });
+  check("One attempt with ytdl-core's default clients", defaults, [null]);
+  check(
+    'Unsupported client names are found',
+    getUnsupportedClients(['IOS', 'WEB_REMIX', 'ANDROID_MUSIC']),
+    ['WEB_REMIX', 'ANDROID_MUSIC']
+  );
+  check('Supported client names pass', getUnsupportedClients(['WEB_EMBEDDED', 'TV', 'WEB']), []);
+
+  finish();
+}
+
+run();
@@ -0,0 +1,74 @@
+// Stream relay test script
+// Run with: node test/test-streamRelay.js
+
+const http = require('http');
+const { Readable } = require('stream');
+const StreamRelay = require('../src/streamRelay.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('Stream Relay', 'stream relay');
+
+function get(url, headers = {}, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    http
+      .request(url, { headers, method, agent: false }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => (body += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+      })
+      .on('error', reject)
+      .end();
+  });
+}
+
+async function run() {
+  const data = 'abcdefghijklmnopqrstuvwxyz';
+  const relay = new StreamRelay();
+  const ranges = [];
+  const url = await relay.register(
+    (range) => {
+      ranges.push(range);
+      const start = range ? range.start : 0;
+      const end = range ? range.end + 1 : data.length;
+      return Readable.from([data.slice(start, end)]);
+    },
+    { contentLength: data.length, mimeType: 'audio/webm' }
+  );
+
+  console.log('\n[Test 1] Whole stream...');
+  check('Relay URL is on the loopback address', url.startsWith('http://127.0.0.1:'), true);
+  const whole = await get(url);
+  check('Stream is served', [whole.status, whole.body], [200, data]);
+  check(
+    'Headers describe the stream',
+    [whole.headers['content-type'], whole.headers['content-length']],
+    ['audio/webm', String(data.length)]
+  );
+
+  console.log('\n[Test 2] Ranges...');
+  const part = await get(url, { Range: 'bytes=20-' });
+  check(
+    'Open range',
+    [part.status, part.body, part.headers['content-range']],
+    [206, 'uvwxyz', 'bytes 20-25/26']
+  );
+  check('Range is passed to the stream', ranges[1], { start: 20, end: 25 });
+  check('Range past the end', (await get(url, { Range: 'bytes=26-' })).status, 416);
+
+  console.log('\n[Test 3] Other requests...');
+  check('Unknown token', (await get(url.replace(/\/\w+$/, '/nope'))).status, 404);
+  check(
+    'HEAD does not open the stream',
+    [(await get(url, {}, 'HEAD')).status, ranges.length],
+    [200, 2]
+  );
+
+  relay.close();
+  const closed = await get(url).catch((e) => e.code);
+  check('Closed relay refuses connections', closed, 'ECONNREFUSED');
+
+  finish();
+}
+
+run();
@@ -0,0 +1,63 @@
+// TTL cache test script
+// Run with: node test/test-ttlCache.js
+
+const TTLCache = require('../src/ttlCache.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('TTL Cache', 'TTL cache');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function run() {
+  console.log('\n[Test 1] Expiry and eviction...');
+  const cache = new TTLCache({ ttl: 50, maxSize: 2 });
+  cache.set('a', 1);
+  check('Fresh value is returned', cache.get('a'), 1);
+  cache.set('b', 2, 1000);
+  cache.set('c', 3, 1000);
+  check('Oldest entry is evicted when full', cache.get('a'), undefined);
+  await sleep(60);
+  check('Per-entry TTL outlives the default', cache.get('b'), 2);
+
+  console.log('\n[Test 2] Shared loads...');
+  const loads = new TTLCache({ ttl: 1000 });
+  let calls = 0;
+  const loader = async () => {
+    calls++;
+    await sleep(10);
+    return ['suggestion'];
+  };
+  const [first, second] = await Promise.all([loads.wrap('q', loader), loads.wrap('q', loader)]);
+  check('Concurrent loads share one call', calls, 1);
+  check('Both callers get the value', [first, second], [['suggestion'], ['suggestion']]);
+  await loads.wrap('q', loader);
+  check('Cached value skips the loader', calls, 1);
+
+  console.log('\n[Test 3] Failed loads...');
+  let attempts = 0;
+  const failing = async () => {
+    attempts++;
+    throw new Error('offline');
+  };
+  await loads.wrap('x', failing).catch(() => {});
+  await loads.wrap('x', failing).catch(() => {});
+  check('Failures are not cached', attempts, 2);
+
+  console.log('\n[Test 4] Refresh...');
+  const fresh = new TTLCache({ ttl: 1000 });
+  fresh.set('u', 'old');
+  const refreshing = fresh.refresh('u', async () => 'new', (value) => value.length * 1000);
+  check('Old value is kept while refreshing', fresh.get('u'), 'old');
+  await refreshing;
+  check('Refreshed value replaces it', fresh.get('u'), 'new');
+  check('TTL is computed from the value', fresh.timeLeft('u') > 1000, true);
+  check('Missing key has no time left', fresh.timeLeft('missing'), 0);
+
+  const uncached = new TTLCache({ ttl: 0 });
+  uncached.set('z', 1);
+  check('A TTL of 0 keeps nothing', uncached.get('z'), undefined);
+
+  finish();
+}
+
+run();
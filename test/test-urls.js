@@ -0,0 +1,115 @@
+// URL parsing test script
+// Run with: node test/test-urls.js
+
+const {
+  parseURL,
+  parseTimestamp,
+  stripTrackingParams,
+  classifyBrowseId,
+  isRadioId,
+  radioSeedVideoId,
+  toPlaylistBrowseId,
+} = require('../src/urlParser.js');
+const { createTestRun } = require('./helpers.js');
+
+const { check, finish } = createTestRun('URL Parsing', 'URL');
+
+console.log('\n[Test 1] Parse YouTube Music URL shapes...');
+const cases = [
+  ['https://music.youtube.com/watch?v=dQw4w9WgXcQ', { type: 'video', id: 'dQw4w9WgXcQ' }],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', { type: 'video', id: 'dQw4w9WgXcQ' }],
+  [
+    'https://music.youtube.com/playlist?list=OLAK5uy_nEmVPPuUwvBUJD_uVsU5nWFqf8lprUAg4',
+    { type: 'playlist', id: 'OLAK5uy_nEmVPPuUwvBUJD_uVsU5nWFqf8lprUAg4' },
+  ],
+  [
+    'https://music.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI&si=abc',
+    { type: 'playlist', id: 'PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI' },
+  ],
+  ['https://music.youtube.com/browse/MPREb_Fw7USCm1cxY', { type: 'album', id: 'MPREb_Fw7USCm1cxY' }],
+  [
+    'https://music.youtube.com/browse/VLPLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI',
+    { type: 'playlist', id: 'PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI' },
+  ],
+  [
+    'https://music.youtube.com/channel/UCvgfXK4nTYKudb0rFR6noLA',
+    { type: 'artist', id: 'UCvgfXK4nTYKudb0rFR6noLA' },
+  ],
+  [
+    'https://music.youtube.com/browse/UCvgfXK4nTYKudb0rFR6noLA',
+    { type: 'artist', id: 'UCvgfXK4nTYKudb0rFR6noLA' },
+  ],
+  [
+    'https://music.youtube.com/browse/MPLAUCvgfXK4nTYKudb0rFR6noLA',
+    { type: 'artist', id: 'UCvgfXK4nTYKudb0rFR6noLA' },
+  ],
+  ['https://music.youtube.com/album/MPREb_Fw7USCm1cxY', { type: 'album', id: 'MPREb_Fw7USCm1cxY' }],
+  [
+    'https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=RDAMVMdQw4w9WgXcQ',
+    { type: 'radio', id: 'RDAMVMdQw4w9WgXcQ', videoId: 'dQw4w9WgXcQ' },
+  ],
+  [
+    'https://music.youtube.com/playlist?list=RDAMVMdQw4w9WgXcQ',
+    { type: 'radio', id: 'RDAMVMdQw4w9WgXcQ', videoId: 'dQw4w9WgXcQ' },
+  ],
+  [
+    'https://music.youtube.com/playlist?list=RDCLAK5uy_kmPRjHDECIcuVwnKsx2Ng7fyNgFKWNJFs',
+    { type: 'playlist', id: 'RDCLAK5uy_kmPRjHDECIcuVwnKsx2Ng7fyNgFKWNJFs' },
+  ],
+  [
+    'https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI&index=4',
+    { type: 'playlist', id: 'PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI', videoId: 'dQw4w9WgXcQ', index: 4 },
+  ],
+  [
+    'https://youtu.be/dQw4w9WgXcQ?si=Xr2fR1wCk&t=90',
+    { type: 'video', id: 'dQw4w9WgXcQ', startTime: 90 },
+  ],
+  ['https://m.youtube.com/watch?v=dQw4w9WgXcQ&t=1m30s', { type: 'video', id: 'dQw4w9WgXcQ', startTime: 90 }],
+  ['https://www.youtube.com/shorts/dQw4w9WgXcQ', { type: 'video', id: 'dQw4w9WgXcQ' }],
+  ['https://www.youtube.com/embed/dQw4w9WgXcQ?start=42', { type: 'video', id: 'dQw4w9WgXcQ', startTime: 42 }],
+  ['https://www.youtube.com/live/dQw4w9WgXcQ?feature=share', { type: 'video', id: 'dQw4w9WgXcQ' }],
+  [
+    'https://youtu.be/dQw4w9WgXcQ?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI',
+    { type: 'playlist', id: 'PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI', videoId: 'dQw4w9WgXcQ' },
+  ],
+  ['https://www.youtube.com/watch?v=tooshort', null],
+  ['https://www.youtube.com/channel/UCvgfXK4nTYKudb0rFR6noLA', null],
+  ['https://music.youtube.com/browse/FEmusic_home', null],
+  ['https://invalid-url.com/watch?v=dQw4w9WgXcQ', null],
+  ['not a url', null],
+];
+
+for (const [url, expected] of cases) {
+  check(url, parseURL(url), expected);
+}
+
+console.log('\n[Test 2] Timestamps and tracking parameters...');
+check('Plain seconds', parseTimestamp('90'), 90);
+check('Seconds suffix', parseTimestamp('90s'), 90);
+check('Hours, minutes and seconds', parseTimestamp('1h2m3s'), 3723);
+check('Invalid timestamp', parseTimestamp('soon'), null);
+check(
+  'Strip si and feature',
+  stripTrackingParams('https://music.youtube.com/playlist?list=PLabc&si=xyz&feature=share'),
+  'https://music.youtube.com/playlist?list=PLabc'
+);
+
+console.log('\n[Test 3] Classify browse IDs...');
+check('MPREb_ is an album', classifyBrowseId('MPREb_abc'), { type: 'album', id: 'MPREb_abc' });
+check('UC is an artist', classifyBrowseId('UCabc'), { type: 'artist', id: 'UCabc' });
+check('Unknown prefix', classifyBrowseId('FEmusic_library'), null);
+
+console.log('\n[Test 4] Radio IDs...');
+check('RDAMVM is a radio', isRadioId('RDAMVMdQw4w9WgXcQ'), true);
+check('RDCLAK5uy_ is a playlist', isRadioId('RDCLAK5uy_abc'), false);
+check('PL is a playlist', isRadioId('PLabc'), false);
+check('RDAMVM seed video', radioSeedVideoId('RDAMVMdQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+check('RD seed video', radioSeedVideoId('RDdQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+check('RDEM has no seed video', radioSeedVideoId('RDEMabcdefghijklmnop'), null);
+
+console.log('\n[Test 5] Playlist browse IDs...');
+check('PL gets VL prefix', toPlaylistBrowseId('PLabc'), 'VLPLabc');
+check('OLAK5uy_ gets VL prefix', toPlaylistBrowseId('OLAK5uy_abc'), 'VLOLAK5uy_abc');
+check('VL stays as is', toPlaylistBrowseId('VLOLAK5uy_abc'), 'VLOLAK5uy_abc');
+
+finish();
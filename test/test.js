@@ -24,6 +24,18 @@ async function testPlugin() {
       console.log(`URL: ${url} - Valid: ${isValid ? "✅" : "❌"}`)
     }
 
+    // Test resolving playlist, album and artist URLs
+    console.log("\n--- Testing resolve for playlist, album and artist URLs ---")
+    for (const url of testUrls.slice(1, 4)) {
+      try {
+        const resolved = await plugin.resolve(url)
+        console.log(`✅ Resolved ${url}`)
+        console.log(`   ${resolved.name} (${resolved.songs.length} songs)`)
+      } catch (e) {
+        console.log(`❌ Failed to resolve ${url}:`, e.message)
+      }
+    }
+
     // Test search
     const searchQuery = "Hanya Rindu"
     console.log(`Searching for: "${searchQuery}"`)
@@ -126,6 +138,25 @@ async function testPlugin() {
       console.log("❌ Specific song search failed:", e.message)
     }
     
+
+    // Test typed search for albums, playlists and artists
+    console.log("\n--- Testing search with every result type ---")
+    for (const type of ["all", "album", "playlist", "artist"]) {
+      try {
+        const results = await plugin.search("Tulus", { type, limit: 3 })
+        if (results.length > 0) {
+          console.log(`✅ Found ${results.length} ${type} results`)
+          results.forEach((result, index) => {
+            console.log(`${index + 1}. [${result.type || "song"}] ${result.name} - ${result.url}`)
+          })
+        } else {
+          console.log(`❌ No ${type} results found`)
+        }
+      } catch (e) {
+        console.log(`❌ ${type} search failed:`, e.message)
+      }
+    }
+    
   } catch (error) {
     console.error("❌ Test failed:", error)
   }
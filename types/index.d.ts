@@ -1,5 +1,6 @@
-import { type DisTube, ExtractorPlugin, type Song, type Playlist } from "distube"
-import { type Agent as YtdlAgent } from "@distube/ytdl-core"
+import { type DisTube, ExtractorPlugin, type Song, type Playlist, type Queue } from "distube"
+import { type Agent as YtdlAgent, type videoFormat } from "@distube/ytdl-core"
+import { type Readable } from "node:stream"
 
 /**
  * Cookie object in EditThisCookie JSON format
@@ -102,6 +103,366 @@ declare interface CookieRefreshOptions {
   headless?: boolean
 }
 
+/**
+ * Artist credited on a YouTube Music track
+ */
+declare interface MusicArtist {
+  /**
+   * Artist name
+   */
+  name: string
+  /**
+   * Artist channel ID (`UC...`), null for uncredited artists
+   */
+  id: string | null
+  /**
+   * Artist page URL on YouTube Music
+   */
+  url: string | null
+}
+
+/**
+ * Album a YouTube Music track belongs to
+ */
+declare interface MusicAlbum {
+  /**
+   * Album name
+   */
+  name: string
+  /**
+   * Album browse ID (`MPREb_...`)
+   */
+  id: string | null
+  /**
+   * Album page URL on YouTube Music
+   */
+  url: string | null
+}
+
+/**
+ * YouTube Music metadata attached to every Song created by the plugin as `song.musicMetadata`.
+ * Fields are null when the source the song was resolved from does not provide them
+ */
+declare interface MusicMetadata {
+  /**
+   * Album the track belongs to
+   */
+  album: MusicAlbum | null
+  /**
+   * Credited artists
+   */
+  artists: MusicArtist[]
+  /**
+   * Release year
+   */
+  year: number | null
+  /**
+   * Whether the track is marked as explicit
+   */
+  explicit: boolean | null
+  /**
+   * Position of the track on its album, only set for songs resolved from an album
+   */
+  trackNumber: number | null
+}
+
+/**
+ * Options of {@link YouTubeMusicPlugin.toSong}
+ */
+declare interface ToSongOptions {
+  /**
+   * Member who requested the song
+   */
+  member?: any
+  /**
+   * Custom metadata attached to the song
+   */
+  metadata?: any
+  /**
+   * Album the track belongs to, overrides the album of the track
+   */
+  album?: { name: string; albumId?: string }
+  /**
+   * Release year of the album
+   */
+  year?: number
+  /**
+   * Position of the track on the album
+   */
+  trackNumber?: number
+}
+
+declare module "distube" {
+  interface Song<T = unknown> {
+    /**
+     * YouTube Music metadata (album, artists, year, explicit flag, track number)
+     */
+    musicMetadata?: MusicMetadata
+
+    /**
+     * Start position in seconds taken from the `t=`/`start=` parameter of the resolved URL
+     */
+    startTime?: number
+
+    /**
+     * Other upload of the same recording that is played because this song is unavailable
+     */
+    substitute?: Song
+
+    /**
+     * Live state of the video. `isLive` is only true while it is airing
+     */
+    liveStatus?: LiveStatus
+
+    /**
+     * Loudness YouTube reports for the song in dB relative to its playback reference, positive is louder
+     */
+    loudnessDb?: number | null
+
+    /**
+     * Recommended volume adjustment, set when the stream URL is fetched with `loudnessNormalization` enabled
+     */
+    loudnessAdjustment?: LoudnessAdjustment | null
+
+    /**
+     * Chapters of the video, from its chapter markers or the timestamps of its description.
+     * Set for songs resolved from a video URL, empty if the video has none
+     */
+    chapters?: Chapter[]
+
+    /**
+     * Audio format of the last stream URL returned by `getStreamURL`
+     */
+    streamFormat?: StreamFormat
+  }
+
+  interface Playlist<T = unknown> {
+    /**
+     * Total number of tracks in the source playlist, album or artist list,
+     * before `maxPlaylistSongs`/`maxViews` was applied
+     */
+    totalSongs?: number
+  }
+}
+
+/**
+ * Reason a song is rejected by the content filters
+ */
+declare type FilterReason = "blockedVideo" | "blockedArtist" | "explicit" | "live" | "tooShort" | "tooLong"
+
+/**
+ * Content filters of the plugin.
+ * Songs whose explicit flag or duration is unknown are not rejected for it
+ */
+declare interface ContentFilters {
+  /**
+   * Reject songs carrying YouTube Music's explicit badge. Songs whose badge could not be read are allowed
+   * @default false
+   */
+  blockExplicit?: boolean
+  /**
+   * Reject live streams
+   * @default false
+   */
+  blockLive?: boolean
+  /**
+   * Reject songs shorter than this many seconds
+   */
+  minDuration?: number
+  /**
+   * Reject songs longer than this many seconds
+   */
+  maxDuration?: number
+  /**
+   * Artist channel IDs (`UC...`) to reject
+   */
+  blockedArtists?: string[]
+  /**
+   * Video IDs to reject
+   */
+  blockedVideos?: string[]
+}
+
+/**
+ * Live state of a video: not live, airing now, ended (played like any video) or scheduled
+ */
+declare type LiveStatus = "none" | "live" | "ended" | "upcoming"
+
+/**
+ * Loudness normalization options
+ */
+declare interface LoudnessNormalizationOptions {
+  /**
+   * Target loudness in dB relative to YouTube's playback reference (about -14 LUFS), negative is quieter
+   * @default 0
+   */
+  targetDb?: number
+  /**
+   * Maximum boost of songs quieter than the target in dB, 0 only turns loud songs down like YouTube does
+   * @default 0
+   */
+  maxGainDb?: number
+}
+
+/**
+ * Recommended volume adjustment of a song
+ */
+declare interface LoudnessAdjustment {
+  /**
+   * Gain in dB
+   */
+  gainDb: number
+  /**
+   * Gain as a volume factor, 1 leaves the volume unchanged
+   */
+  volume: number
+  /**
+   * FFmpeg output args applying the gain
+   */
+  ffmpegArgs: { af: string }
+}
+
+/**
+ * Chapter of a video
+ */
+declare interface Chapter {
+  /**
+   * Chapter title
+   */
+  title: string
+  /**
+   * Start of the chapter in seconds
+   */
+  start: number
+  /**
+   * End of the chapter in seconds, null if the duration of the video is unknown
+   */
+  end: number | null
+}
+
+/**
+ * Audio codec that can be preferred: `opus` (webm) or `aac` (m4a), container names are accepted too
+ */
+declare type AudioCodec = "opus" | "aac" | "webm" | "m4a" | "mp4"
+
+/**
+ * Audio format selection of `getStreamURL`.
+ * The preferred codec is tried first, then each fallback codec, then any codec
+ */
+declare interface AudioFormatOptions {
+  /**
+   * Preferred codec, any codec if not set
+   */
+  codec?: AudioCodec | null
+  /**
+   * Maximum audio bitrate in kbps. If every format is above it, the lowest bitrate is used
+   * @default 0
+   */
+  maxBitrate?: number
+  /**
+   * Codecs to try in order when the preferred codec is not available within `maxBitrate`
+   */
+  fallback?: AudioCodec[]
+}
+
+/**
+ * Player client supported by ytdl-core's `playerClients` option
+ */
+declare type PlayerClient = "WEB_EMBEDDED" | "TV" | "IOS" | "ANDROID" | "WEB"
+
+/**
+ * Retry policy of stream extraction.
+ * Transient errors (429, 403, server errors, dropped connections) are retried with exponential backoff and jitter,
+ * then the next player client is tried
+ */
+declare interface RetryOptions {
+  /**
+   * Retries of each player client after a transient error
+   * @default 2
+   */
+  retries?: number
+  /**
+   * Delay before the first retry in milliseconds, doubled on each retry
+   * @default 500
+   */
+  minDelay?: number
+  /**
+   * Maximum delay between retries in milliseconds
+   * @default 8000
+   */
+  maxDelay?: number
+  /**
+   * ytdl-core player clients tried in order, each one on its own.
+   * Empty makes a single request with ytdl-core's default clients, which merges their formats
+   * @default []
+   */
+  playerClients?: PlayerClient[]
+}
+
+/**
+ * Audio format a song was streamed with
+ */
+declare interface StreamFormat {
+  /**
+   * YouTube format itag
+   */
+  itag: number
+  /**
+   * Audio codec (`opus`, `aac` or the raw codec string of other codecs)
+   */
+  codec: string | null
+  /**
+   * Container (`webm`, `mp4`)
+   */
+  container: string | null
+  /**
+   * Audio bitrate in kbps
+   */
+  bitrate: number
+  /**
+   * Sample rate in Hz
+   */
+  sampleRate: number | null
+  /**
+   * Loudness of the format in dB as reported by YouTube
+   */
+  loudnessDb: number | null
+}
+
+/**
+ * Plugin options a guild can override
+ */
+declare type GuildOptions = Pick<
+  YouTubeMusicPluginOptions,
+  | "language"
+  | "region"
+  | "unavailableFallback"
+  | "loudnessNormalization"
+  | "maxViews"
+  | "maxPlaylistSongs"
+  | "lazyLoad"
+  | "radioRefill"
+  | "watchListPolicy"
+  | "filters"
+  | "cookies"
+  | "audioFormat"
+>
+
+/**
+ * Callback returning the option overrides of a guild, nothing to use the global options
+ */
+declare type GuildOptionsResolver = (
+  guildId: string,
+  member: any,
+) => GuildOptions | null | undefined | Promise<GuildOptions | null | undefined>
+
+/**
+ * Settings store holding the option overrides of each guild
+ */
+declare interface GuildOptionsStore {
+  get(guildId: string): GuildOptions | null | undefined | Promise<GuildOptions | null | undefined>
+}
+
 declare interface YouTubeMusicPluginOptions {
   /**
    * Whether to emit events after fetching or not
@@ -119,10 +480,101 @@ declare interface YouTubeMusicPluginOptions {
    */
   parallel?: boolean
   /**
-   * Maximum number of tracks to fetch from playlists, albums, and artists
+   * Maximum number of top songs to fetch from artists
    * @default 10
    */
   maxViews?: number
+  /**
+   * Maximum number of tracks to fetch from playlists and albums.
+   * Playlists are fetched page by page until the list ends or this limit is reached
+   * @default Infinity
+   */
+  maxPlaylistSongs?: number
+  /**
+   * Return playlists as soon as their first page is fetched and append
+   * the remaining pages to the queue in the background
+   * @default false
+   */
+  lazyLoad?: boolean
+  /**
+   * Keep playing from the same radio (mix) when DisTube autoplay asks for
+   * related songs of a song that was resolved from a radio URL
+   * @default true
+   */
+  radioRefill?: boolean
+  /**
+   * How to resolve a watch URL that also carries a playlist (`watch?v=abc&list=PL...`)
+   * - `song`: play only the linked track
+   * - `startAtSong`: queue the playlist starting at the linked track (honours `index=`)
+   * - `playlist`: queue the whole playlist from the top
+   * @default "startAtSong"
+   */
+  watchListPolicy?: "song" | "startAtSong" | "playlist"
+  /**
+   * How long search suggestions are cached in milliseconds, 0 disables the cache
+   * @default 60000
+   */
+  suggestionCacheTTL?: number
+  /**
+   * How long a member must stop typing before their suggestions are requested, in milliseconds.
+   * Only the last of their calls in that time gets suggestions, 0 disables it
+   * @default 200
+   */
+  suggestionDebounce?: number
+  /**
+   * How long the video info fetched when resolving a video URL is kept for its stream URL, in milliseconds.
+   * 0 disables it
+   * @default 300000
+   */
+  infoCacheTTL?: number
+  /**
+   * Language of titles and artist names (YouTube Music `hl`, e.g. "id", "ja"), defaults to YouTube's choice
+   */
+  language?: string | null
+  /**
+   * Region of the results and their availability (YouTube Music `gl`, e.g. "ID", "JP"), defaults to the host's region
+   */
+  region?: string | null
+  /**
+   * Play another upload of the same recording when a song is unavailable in the region or removed
+   * @default true
+   */
+  unavailableFallback?: boolean
+  /**
+   * Audio format selection: preferred codec, maximum bitrate and codec fallback list
+   */
+  audioFormat?: AudioFormatOptions
+  /**
+   * Cache stream URLs per video until shortly before their signature expires, refreshing them in the background
+   * @default true
+   */
+  streamCache?: boolean
+  /**
+   * Retry policy and player client fallback chain of stream extraction
+   */
+  retry?: RetryOptions
+  /**
+   * Download streams with ytdl-core through the plugin's agent and serve them to FFmpeg from a loopback relay,
+   * instead of letting FFmpeg fetch googlevideo URLs itself
+   * @default false
+   */
+  directStream?: boolean
+  /**
+   * Compute a recommended volume adjustment for each song played (`song.loudnessAdjustment`),
+   * `true` for the default options
+   * @default false
+   */
+  loudnessNormalization?: boolean | LoudnessNormalizationOptions
+  /**
+   * Content filters applied to every song the plugin resolves, searches or autoplays
+   */
+  filters?: ContentFilters
+  /**
+   * Per-guild option overrides, looked up from the guild of the member of each request.
+   * Either a resolver callback or a settings store with a `get(guildId)` method (Map, Enmap, Keyv...).
+   * Filters are merged with the global filters, every other option replaces the global one
+   */
+  guildOptions?: GuildOptionsResolver | GuildOptionsStore | null
   /**
    * Cookie array in EditThisCookie JSON format for authentication
    */
@@ -142,17 +594,153 @@ declare interface YouTubeMusicPluginOptions {
   cookieRefresh?: boolean | CookieRefreshOptions
 }
 
-declare interface SearchSongsOptions {
+/**
+ * A page of {@link YouTubeMusicPlugin.searchSongs} results
+ */
+declare type SearchSongsPage = Song[] & {
+  /**
+   * Cursor of the next page, null when there are no more results
+   */
+  cursor: string | null
+}
+
+/**
+ * Options of {@link YouTubeMusicPlugin.rankSongs}
+ */
+declare interface RankOptions {
+  /**
+   * Preferred duration in seconds, songs further from it rank lower
+   */
+  duration?: number
+}
+
+/**
+ * Per-request language and region, overriding the plugin's and the guild's
+ */
+declare interface LocaleOptions {
+  /**
+   * Language of the results (YouTube Music `hl`)
+   */
+  language?: string
+  /**
+   * Region of the results (YouTube Music `gl`)
+   */
+  region?: string
+}
+
+/**
+ * Search options of {@link YouTubeMusicPlugin.search}
+ */
+declare interface SearchOptions extends LocaleOptions {
+  /**
+   * Type of search result, 'all' returns a mix of every type
+   * @default 'all'
+   */
+  type?: 'all' | 'song' | 'video' | 'album' | 'playlist' | 'artist'
+  /**
+   * Maximum number of results to return
+   * @default 10
+   */
+  limit?: number
+  /**
+   * Discord guild member who performed the search
+   */
+  member?: any
+  /**
+   * Additional metadata to associate with the songs
+   */
+  metadata?: any
+}
+
+/**
+ * Album search result
+ */
+declare interface AlbumSearchResult {
+  type: 'album'
+  /**
+   * Album browse ID (`MPREb_...`)
+   */
+  id: string
+  name: string
+  /**
+   * Album URL, resolvable by the plugin
+   */
+  url: string
+  thumbnail: string | null
+  artist: MusicArtist | null
+  year: number | null
+}
+
+/**
+ * Playlist search result
+ */
+declare interface PlaylistSearchResult {
+  type: 'playlist'
+  /**
+   * Playlist ID
+   */
+  id: string
+  name: string
+  /**
+   * Playlist URL, resolvable by the plugin
+   */
+  url: string
+  thumbnail: string | null
+  artist: MusicArtist | null
+}
+
+/**
+ * Artist search result
+ */
+declare interface ArtistSearchResult {
+  type: 'artist'
+  /**
+   * Artist channel ID (`UC...`)
+   */
+  id: string
+  name: string
+  /**
+   * Artist URL, resolvable by the plugin
+   */
+  url: string
+  thumbnail: string | null
+}
+
+/**
+ * Result of {@link YouTubeMusicPlugin.search}
+ */
+declare type SearchResult = Song | AlbumSearchResult | PlaylistSearchResult | ArtistSearchResult
+
+declare interface SearchSongsOptions extends LocaleOptions {
   /**
    * Type of search result
    * @default 'song'
    */
-  type?: 'song' | 'album' | 'playlist' | 'artist'
+  type?: 'song' | 'video'
   /**
    * Maximum number of results to return
    * @default 3
    */
   limit?: number
+  /**
+   * Number of results to skip, ignored when a cursor is given
+   * @default 0
+   */
+  offset?: number
+  /**
+   * Cursor returned with the previous page of results, an invalid cursor or one of another search gives no results
+   */
+  cursor?: string
+  /**
+   * Sort each page of results by {@link YouTubeMusicPlugin.rankSongs} before taking the `limit` first ones,
+   * instead of keeping YouTube Music's order
+   * @default false
+   */
+  rank?: boolean
+  /**
+   * Preferred duration in seconds, used when ranking
+   */
+  duration?: number
   /**
    * Discord guild member who performed the search
    */
@@ -163,9 +751,40 @@ declare interface SearchSongsOptions {
   metadata?: any
 }
 
+/**
+ * Events emitted by the plugin through the DisTube instance
+ */
+declare interface YouTubeMusicPluginEvents {
+  /**
+   * A batch of a lazily loaded playlist was added to the queue.
+   * Listener: `(queue: Queue, playlist: Playlist, songs: Song[]) => void`
+   */
+  PLAYLIST_BATCH: "ytmusicPlaylistBatch"
+  /**
+   * A lazily loaded playlist finished loading.
+   * Listener: `(queue: Queue, playlist: Playlist) => void`
+   */
+  PLAYLIST_LOADED: "ytmusicPlaylistLoaded"
+  /**
+   * A song was rejected by the content filters.
+   * Listener: `(song: Song, reason: FilterReason) => void`
+   */
+  SONG_FILTERED: "ytmusicSongFiltered"
+  /**
+   * An unavailable song is played from another upload of the same recording.
+   * Listener: `(song: Song, substitute: Song, reason: string) => void`
+   */
+  SONG_SUBSTITUTED: "ytmusicSongSubstituted"
+}
+
 declare class YouTubeMusicPlugin extends ExtractorPlugin {
   constructor(options?: YouTubeMusicPluginOptions)
 
+  /**
+   * Events emitted by the plugin through the DisTube instance
+   */
+  static Events: YouTubeMusicPluginEvents
+
   /**
    * Plugin options
    */
@@ -213,7 +832,7 @@ declare class YouTubeMusicPlugin extends ExtractorPlugin {
    * @param url URL to resolve
    * @param options Optional options
    */
-  resolve(url: string, options?: any): Promise<Song | Playlist>
+  resolve(url: string, options?: { member?: any; metadata?: any } & LocaleOptions): Promise<Song | Playlist>
 
   /**
    * Search for a Song which is playable from this plugin's source
@@ -222,25 +841,98 @@ declare class YouTubeMusicPlugin extends ExtractorPlugin {
    */
   searchSong(query: string, options?: any): Promise<Song | null>
 
+  /**
+   * Sort songs by how well they match a search query
+   * Covers, karaoke, remixes, live recordings and edits rank lower unless the query asks for them
+   * @param songs Songs in search result order
+   * @param query Search query
+   * @param options Ranking options
+   * @returns New array, best match first
+   */
+  rankSongs(songs: Song[], query: string, options?: RankOptions): Song[]
+
   /**
    * Search for multiple Songs from YouTube Music
+   * Pass the returned `cursor` back as `options.cursor` to get the next page
    * @param query Search query
+   * Use {@link YouTubeMusicPlugin.search} for albums, playlists and artists
    * @param options Optional search options
+   * @throws {DisTubeError} If the type is not `song` or `video`
    */
-  searchSongs(query: string, options?: SearchSongsOptions): Promise<Song[]>
+  searchSongs(query: string, options?: SearchSongsOptions): Promise<SearchSongsPage>
 
   /**
-   * Get the stream URL from Song's URL
+   * Search YouTube Music for any kind of result
+   * Songs and videos are returned as Songs, albums, playlists and artists as plain objects with a resolvable `url`
+   * @param query Search query
+   * @param options Optional search options
+   */
+  search(query: string, options?: SearchOptions): Promise<SearchResult[]>
+
+  /**
+   * Get YouTube Music search suggestions for a partial query, e.g. for slash command autocomplete.
+   * Calls of a member typing again within `suggestionDebounce` get no suggestions, only the latest is requested
+   * @param query Partial search query
+   * @param options Member typing the query and the language and region of the suggestions
+   */
+  getSearchSuggestions(query: string, options?: { member?: any } & LocaleOptions): Promise<string[]>
+
+  /**
+   * Get the stream URL from Song's URL.
+   * Plays another upload when the song is unavailable (`song.substitute`) and records the chosen format as `song.streamFormat`
    * @param song Input song
    */
   getStreamURL(song: Song): Promise<string>
 
+  /**
+   * Get the gain that brings a song to the same loudness as the rest of the queue
+   * @param song Song with `loudnessDb`
+   * @param config Options with `loudnessNormalization`, defaults to the plugin options
+   * @returns Adjustment, null if the loudness of the song is unknown
+   */
+  getLoudnessAdjustment(
+    song: Song,
+    config?: Pick<YouTubeMusicPluginOptions, "loudnessNormalization">,
+  ): LoudnessAdjustment | null
+
+  /**
+   * Get the position to seek to for a chapter of a song
+   * @param song Song with `chapters`
+   * @param chapter Chapter number (1-based, `3` or `"chapter 3"`) or (part of) its title
+   * @returns Start of the chapter in seconds, null if the song has no such chapter
+   */
+  getChapterOffset(song: Song, chapter: number | string): number | null
+
+  /**
+   * Download a song's audio as a stream, through the cookie agent and in chunks.
+   * Dropped downloads are resumed from where they stopped with a fresh URL
+   * @param song Input song
+   * @param options Stream options
+   */
+  createStream(song: Song, options?: { range?: { start: number; end?: number } }): Promise<Readable>
+
   /**
    * Get related songs
    * @param song Input song
    */
   getRelatedSongs(song: Song): Promise<Song[]>
 
+  /**
+   * Convert a raw track into a Song
+   * Accepts ytmusic-api results, tracks parsed from InnerTube responses and ytdl-core `getInfo` results
+   * @param track Raw track
+   * @param options Resolve options and album context
+   * @returns The Song, or null if the track has no video ID
+   */
+  toSong(track: any, options?: ToSongOptions): Song | null
+
+  /**
+   * Get the next unplayed song of a radio
+   * @param radioId ID of the radio the songs were resolved from
+   * @private
+   */
+  private getNextRadioSongs(radioId: string, config?: YouTubeMusicPluginOptions): Promise<Song[]>
+
   /**
    * Cleanup and stop cookie auto-refresh
    */
@@ -251,7 +943,13 @@ declare class YouTubeMusicPlugin extends ExtractorPlugin {
    * @param url URL to extract ID from
    * @private
    */
-  private extractId(url: string): { type: string; id: string | null }
+  private extractId(url: string): {
+    type: string
+    id: string | null
+    videoId?: string | null
+    index?: number
+    startTime?: number
+  }
 
   /**
    * Initialize cookie manager with auto-refresh
@@ -265,13 +963,267 @@ declare class YouTubeMusicPlugin extends ExtractorPlugin {
    */
   private initializeAgent(): Promise<void>
 
+  /**
+   * Fetch a playlist page by page, following continuations
+   * @param browseId Playlist browse ID
+   * @param limit Maximum number of tracks to fetch
+   * @private
+   */
+  private fetchPlaylistPages(
+    browseId: string,
+    limit?: number,
+    start?: { videoId?: string | null; index?: number } | null,
+    client?: any,
+    firstPage?: { header: any; tracks: any[]; continuation: string | null } | null,
+  ): AsyncGenerator<any[]>
+
+  /**
+   * Find where the start track of a playlist is within a page
+   * @private
+   */
+  private findStartOffset(tracks: any[], start: { videoId?: string | null; index?: number }, position: number): number
+
+  /**
+   * Append the remaining pages of a lazily loaded playlist to its queue
+   * @param playlist Playlist returned by resolve
+   * @param pages Remaining pages
+   * @param options Resolve options
+   * @private
+   */
+  private loadRemainingPages(
+    playlist: Playlist,
+    pages: AsyncGenerator<any[]>,
+    options: any,
+    config: YouTubeMusicPluginOptions,
+  ): Promise<void>
+
+  /**
+   * Wait for DisTube to put a resolved playlist into a queue
+   * @param playlist Playlist returned by resolve
+   * @param timeout Time to wait in milliseconds
+   * @private
+   */
+  private waitForPlaylistQueue(playlist: Playlist, timeout?: number): Promise<Queue | null>
+
+  /**
+   * Emit a plugin event through the DisTube instance
+   * @private
+   */
+  private emitEvent(event: string, ...args: any[]): void
+
+  /**
+   * Get the plugin options of a guild, with the overrides from `guildOptions` applied
+   * @param member Member the request comes from
+   * @private
+   */
+  private getGuildOptions(member?: any, request?: LocaleOptions): Promise<YouTubeMusicPluginOptions>
+
+  /**
+   * Check the keys and codecs of an `audioFormat` option
+   * @param audioFormat Audio format option
+   * @param name Name of the option in error messages
+   * @throws {DisTubeError} If a key or a codec is not supported
+   * @private
+   */
+  private checkAudioFormat(audioFormat: AudioFormatOptions, name: string): void
+
+  /**
+   * Check a `watchListPolicy` option
+   * @param policy Watch list policy
+   * @throws {DisTubeError} If the policy is not `song`, `startAtSong` or `playlist`
+   * @private
+   */
+  private checkWatchListPolicy(policy: string): void
+
+  /**
+   * Get the ytmusic-api client for the language and region of a request
+   * @param config Options of the request
+   * @private
+   */
+  private getClient(config: YouTubeMusicPluginOptions): Promise<any>
+
+  /**
+   * Get the ytmusic-api initialize options for a language and region
+   * @param config Options with `language` and `region`
+   * @private
+   */
+  private getLocaleOptions(config: YouTubeMusicPluginOptions): { HL?: string; GL?: string }
+
+  /**
+   * Get the ytdl-core request options for a guild, using its own cookies when it overrides them
+   * @param config Options of the guild
+   * @private
+   */
+  private getRequestOptions(config: YouTubeMusicPluginOptions): { agent?: YtdlAgent; lang?: string }
+
+  /**
+   * Get the key of a video in the info and stream caches
+   * @param id Video ID
+   * @param config Options of the guild
+   * @param withFormat Also key by the `audioFormat` option, for caches of chosen formats
+   * @private
+   */
+  private getCacheKey(id: string, config: YouTubeMusicPluginOptions, withFormat?: boolean): string
+
+  /**
+   * Wait for a member to stop typing before requesting suggestions
+   * @param member Member typing, calls without one are not debounced
+   * @returns Whether the call is still the member's latest one
+   * @private
+   */
+  private debounceSuggestions(member?: any): Promise<boolean>
+
+  /**
+   * Get the audio format to stream for a song, playing another upload if it is unavailable
+   * @param song Input song
+   * @param config Options of the request
+   * @private
+   */
+  private getSongFormat(song: Song, config: YouTubeMusicPluginOptions): Promise<videoFormat>
+
+  /**
+   * Download a song's format, resuming the download with a fresh URL of the same format when it drops
+   * @param song Song being played
+   * @param format ytdl-core format
+   * @param config Options of the request
+   * @param range Byte range to download
+   * @private
+   */
+  private openStream(
+    song: Song,
+    format: videoFormat,
+    config: YouTubeMusicPluginOptions,
+    range?: { start: number; end?: number },
+  ): Readable
+
+  /**
+   * Download a format with ytdl-core
+   * @param format ytdl-core format
+   * @param config Options of the request
+   * @param range Byte range to download
+   * @private
+   */
+  private downloadFormat(
+    format: videoFormat,
+    config: YouTubeMusicPluginOptions,
+    range?: { start: number; end?: number },
+  ): Readable
+
+  /**
+   * Serve a song's format through the loopback relay
+   * @param song Song being played
+   * @param format ytdl-core format
+   * @param config Options of the request
+   * @returns Relay URL
+   * @private
+   */
+  private relayFormat(song: Song, format: videoFormat, config: YouTubeMusicPluginOptions): Promise<string>
+
+  /**
+   * Get the audio format to stream for a video, from the stream cache when it is still fresh
+   * @param id Video ID
+   * @param config Options of the request
+   * @private
+   */
+  private getStreamFormat(id: string, config: YouTubeMusicPluginOptions): Promise<videoFormat>
+
+  /**
+   * Pick the format to stream from a video info, the HLS format for live streams
+   * @param info ytdl-core video info
+   * @param config Options of the request
+   * @param itag Itag of the format to pick instead of choosing one
+   * @private
+   */
+  private pickStreamFormat(info: any, config: YouTubeMusicPluginOptions, itag?: number): videoFormat | null
+
+  /**
+   * Get the error message of a live stream or premiere that has not started
+   * @param live Live state and scheduled start in milliseconds
+   * @private
+   */
+  private getUpcomingMessage(live: { status: LiveStatus; startsAt: number | null }): string
+
+  /**
+   * Get a fresh URL of a format that is being downloaded, replacing the cached one
+   * @param id Video ID
+   * @param itag Itag of the format
+   * @param config Options of the request
+   * @private
+   */
+  private refreshStreamFormat(id: string, itag: number, config: YouTubeMusicPluginOptions): Promise<videoFormat>
+
+  /**
+   * Get how long a format URL can be cached, in milliseconds
+   * @param format ytdl-core format
+   * @private
+   */
+  private getStreamTTL(format: videoFormat): number
+
+  /**
+   * Get the audio format to stream for a video, chosen according to the `audioFormat` option
+   * @param id Video ID
+   * @param config Options of the request
+   * @param itag Itag of the format to get instead of choosing one
+   * @private
+   */
+  private fetchStreamFormat(id: string, config: YouTubeMusicPluginOptions, itag?: number): Promise<videoFormat>
+
+  /**
+   * Find another upload of an unavailable song's recording and get its stream format
+   * @param song Unavailable song
+   * @param config Options of the request
+   * @param reason Why the song is unavailable
+   * @returns Stream format of the substitute, or null if none is playable
+   * @private
+   */
+  private playSubstitute(song: Song, config: YouTubeMusicPluginOptions, reason: string): Promise<videoFormat | null>
+
+  /**
+   * Check a song against the content filters, reporting it when it is rejected
+   * @param song Song to check
+   * @returns Reason the song is rejected for, or null if it is allowed
+   * @private
+   */
+  private checkFilters(song: Song, config?: YouTubeMusicPluginOptions): FilterReason | null
+
+  /**
+   * Remove the songs rejected by the content filters
+   * @param songs Songs to filter
+   * @private
+   */
+  private filterSongs(songs: Song[], config?: YouTubeMusicPluginOptions): Song[]
+
+  /**
+   * Encode the position in a search result list into an opaque cursor
+   * @param position Search position
+   * @private
+   */
+  private encodeSearchCursor(position: { query: string; type: string; rank: boolean; continuation: string | null; skip: number }): string
+
+  /**
+   * Decode a search cursor, checking that it belongs to the same search
+   * @param cursor Cursor returned by searchSongs
+   * @param query Search query
+   * @param type Result type
+   * @param rank Whether the pages are ranked
+   * @throws {DisTubeError} If the cursor is invalid or belongs to another search
+   * @private
+   */
+  private decodeSearchCursor(cursor: string, query: string, type: string, rank: boolean): { continuation: string | null; skip: number }
+
   /**
    * Process playlist tracks to Song objects
    * @param tracks Tracks to process
    * @param options Options
+   * @param context Album context
    * @private
    */
-  private processPlaylistTracks(tracks: any[], options: any): Promise<Song[]>
+  private processPlaylistTracks(
+    tracks: any[],
+    options: any,
+    context?: any,
+    config?: YouTubeMusicPluginOptions,
+  ): Promise<Song[]>
 
   /**
    * Convert duration string (MM:SS) to seconds
@@ -281,4 +1233,32 @@ declare class YouTubeMusicPlugin extends ExtractorPlugin {
   private convertDurationToSeconds(duration: string): number
 }
 
+export type {
+  MusicMetadata,
+  MusicArtist,
+  MusicAlbum,
+  ToSongOptions,
+  SearchOptions,
+  SearchSongsPage,
+  RankOptions,
+  ContentFilters,
+  FilterReason,
+  LiveStatus,
+  LoudnessNormalizationOptions,
+  LoudnessAdjustment,
+  Chapter,
+  AudioCodec,
+  AudioFormatOptions,
+  StreamFormat,
+  RetryOptions,
+  PlayerClient,
+  GuildOptions,
+  GuildOptionsResolver,
+  GuildOptionsStore,
+  LocaleOptions,
+  SearchResult,
+  AlbumSearchResult,
+  PlaylistSearchResult,
+  ArtistSearchResult,
+}
 export default YouTubeMusicPlugin